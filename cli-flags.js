@@ -0,0 +1,39 @@
+// Flag parsing shared by the command line scripts
+
+// Split "--name value" flags from positional arguments. Flags listed in
+// `booleans` never take a value, so "--all room-1" keeps room-1 positional.
+export function parseFlags(args, { booleans = [] } = {}) {
+    const flags = {};
+    const positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const name = args[i].slice(2);
+            const hasValue = !booleans.includes(name) && i + 1 < args.length && !args[i + 1].startsWith('--');
+            flags[name] = hasValue ? args[++i] : true;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+
+    return { flags, positional };
+}
+
+// Unix seconds for an ISO date or unix seconds, or NaN for anything else.
+// Also parses the since/until query filters of webhook-server.js.
+export function parseTimestamp(value) {
+    return /^\d+$/.test(value) ? parseInt(value) : Math.floor(Date.parse(value) / 1000);
+}
+
+// Parse a date flag given as an ISO date or unix seconds
+export function parseDateFlag(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const seconds = parseTimestamp(value);
+    if (Number.isNaN(seconds)) {
+        throw new Error(`Invalid --${name} date: ${value}`);
+    }
+    return seconds;
+}
@@ -0,0 +1,321 @@
+import axios from 'axios';
+
+// Daily returns at most 100 objects per page, newest first: starting_after
+// walks toward older objects and ending_before toward newer ones
+const MAX_PAGE_SIZE = 100;
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Retrying these cannot create a second room, recording or webhook
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'put', 'delete']);
+
+const DEFAULT_MAX_RETRIES = 3;
+
+// DAILY_API_MAX_RETRIES, where 0 turns retries off
+function defaultMaxRetries() {
+    const maxRetries = parseInt(process.env.DAILY_API_MAX_RETRIES);
+    return Number.isNaN(maxRetries) ? DEFAULT_MAX_RETRIES : maxRetries;
+}
+
+// Failures where the request may never have reached Daily
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE']);
+
+// Every failed call rejects with one of these. status is the HTTP status
+// (undefined for network errors and timeouts); code and info are the
+// `error` and `info` fields of Daily's error body.
+export class DailyApiError extends Error {
+    constructor({ method, path, status, code, info, data, cause }) {
+        const reason = status
+            ? `${status}${code ? ` ${code}` : ''}${info ? `: ${info}` : ''}`
+            : cause?.message || 'no response';
+        super(`Daily API ${method.toUpperCase()} ${path} failed (${reason})`, { cause });
+
+        this.name = 'DailyApiError';
+        this.method = method.toUpperCase();
+        this.path = path;
+        this.status = status;
+        this.code = code;
+        this.info = info;
+        this.data = data;
+    }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(header) {
+    if (!header) {
+        return undefined;
+    }
+    if (/^\d+$/.test(header)) {
+        return parseInt(header) * 1000;
+    }
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+// Client for the Daily REST API shared by the scripts and the webhook server.
+// Calls resolve with the response body. Rate limits (429), transient 5xx
+// errors and timeouts are retried with exponential backoff, honouring
+// Retry-After. Point DAILY_API_BASE_URL at a mock server to run offline.
+class DailyClient {
+    constructor({
+        apiKey = process.env.DAILY_API_KEY,
+        baseURL = process.env.DAILY_API_BASE_URL || 'https://api.daily.co/v1/',
+        timeoutMs = parseInt(process.env.DAILY_API_TIMEOUT_MS) || 15000,
+        maxRetries = defaultMaxRetries(),
+        retryBaseMs = 500,
+        maxRetryDelayMs = 60 * 1000,
+        log = console
+    } = {}) {
+        if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+            throw new Error(`Invalid max retries: ${maxRetries} (expected a whole number, 0 to turn retries off)`);
+        }
+
+        this.maxRetries = maxRetries;
+        this.retryBaseMs = retryBaseMs;
+        this.maxRetryDelayMs = maxRetryDelayMs;
+        this.log = log;
+
+        this.http = axios.create({
+            baseURL,
+            timeout: timeoutMs,
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    // Send one request, retrying transient failures. Non-idempotent calls are
+    // only retried when Daily cannot have acted on them (429, refused
+    // connections) unless { retry: true } says the call is safe to repeat.
+    async request(method, path, { params, data, retry } = {}) {
+        method = method.toLowerCase();
+        const canRepeat = retry ?? IDEMPOTENT_METHODS.has(method);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await this.http.request({ method, url: path, params, data });
+                return response.data;
+            } catch (error) {
+                const status = error.response?.status;
+                const retryable = status
+                    ? status === 429 || (canRepeat && RETRYABLE_STATUSES.has(status))
+                    : error.code === 'ECONNREFUSED' || (canRepeat && NETWORK_ERROR_CODES.has(error.code));
+
+                const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+                const delayMs = retryAfterMs ?? Math.min(this.retryBaseMs * 2 ** attempt, this.maxRetryDelayMs);
+
+                if (!retryable || attempt >= this.maxRetries || delayMs > this.maxRetryDelayMs) {
+                    throw this.normalizeError(method, path, error);
+                }
+
+                const reason = status === 429 ? 'rate limited' : (status ? `returned ${status}` : error.code);
+                this.log.warn(`Daily API ${method.toUpperCase()} ${path} ${reason}, retrying in ${(delayMs / 1000).toFixed(1)}s (${attempt + 1}/${this.maxRetries})`, {
+                    method: method.toUpperCase(),
+                    path,
+                    status,
+                    retry_in_ms: delayMs
+                });
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        }
+    }
+
+    normalizeError(method, path, error) {
+        const body = error.response?.data;
+        return new DailyApiError({
+            method,
+            path,
+            status: error.response?.status,
+            code: typeof body === 'object' ? body?.error : undefined,
+            info: typeof body === 'object' ? body?.info : (body || undefined),
+            data: body,
+            cause: error
+        });
+    }
+
+    get(path, params) {
+        return this.request('get', path, { params });
+    }
+
+    post(path, data, options) {
+        return this.request('post', path, { ...options, data });
+    }
+
+    patch(path, data, options) {
+        return this.request('patch', path, { ...options, data });
+    }
+
+    delete(path) {
+        return this.request('delete', path);
+    }
+
+    // Yield each page's response body until the endpoint runs dry or `limit`
+    // objects have been returned. Omit limit to fetch everything.
+    async *paginatePages(path, { params = {}, limit, startingAfter, endingBefore } = {}) {
+        let remaining = limit;
+        let cursor = { startingAfter, endingBefore };
+
+        while (remaining === undefined || remaining > 0) {
+            const pageSize = Math.min(MAX_PAGE_SIZE, remaining ?? MAX_PAGE_SIZE);
+            const body = await this.get(path, {
+                ...params,
+                limit: pageSize,
+                starting_after: cursor.startingAfter,
+                ending_before: cursor.endingBefore
+            });
+            const page = body.data || [];
+
+            yield body;
+
+            if (remaining !== undefined) {
+                remaining -= page.length;
+            }
+            if (page.length < pageSize) {
+                return;
+            }
+
+            // Keep walking in the direction we started in
+            cursor = cursor.endingBefore
+                ? { endingBefore: page[0].id }
+                : { startingAfter: page[page.length - 1].id };
+        }
+    }
+
+    // Yield every object across pages:
+    //   for await (const recording of daily.paginate('/recordings')) { ... }
+    async *paginate(path, options) {
+        for await (const page of this.paginatePages(path, options)) {
+            yield* page.data || [];
+        }
+    }
+
+    // Collect up to `limit` objects into the { total_count, data } shape of a
+    // single Daily page. since/until (unix seconds, read via timeOf) filter the
+    // results; when walking toward older objects the walk stops once it passes
+    // `since`.
+    async collectPages(path, { since, until, timeOf = item => item.start_ts, limit, ...options } = {}) {
+        const filtered = since !== undefined || until !== undefined;
+        const data = [];
+        let totalCount;
+
+        // With date filters we cannot know how many pages hold `limit` matches
+        const pages = this.paginatePages(path, { ...options, limit: filtered ? undefined : limit });
+
+        collecting:
+        for await (const page of pages) {
+            totalCount = totalCount ?? page.total_count;
+
+            for (const item of page.data || []) {
+                const time = timeOf(item);
+                if (since !== undefined && time < since) {
+                    if (!options.endingBefore) {
+                        break collecting;
+                    }
+                    continue;
+                }
+                if (until !== undefined && time > until) {
+                    continue;
+                }
+
+                data.push(item);
+                if (limit !== undefined && data.length >= limit) {
+                    break collecting;
+                }
+            }
+        }
+
+        return { total_count: totalCount ?? data.length, data };
+    }
+
+    // Domain
+
+    getDomainConfig() {
+        return this.get('/');
+    }
+
+    // POST / updates the domain configuration, e.g. { properties: { recordings_bucket } }
+    updateDomainConfig(config) {
+        return this.post('/', config, { retry: true });
+    }
+
+    // Rooms
+
+    // One page of rooms; use collectPages('/rooms', ...) to walk them all
+    listRooms(params) {
+        return this.get('/rooms', params);
+    }
+
+    getRoom(roomName) {
+        return this.get(`/rooms/${encodeURIComponent(roomName)}`);
+    }
+
+    createRoom(room) {
+        return this.post('/rooms', room);
+    }
+
+    updateRoom(roomName, room) {
+        return this.post(`/rooms/${encodeURIComponent(roomName)}`, room, { retry: true });
+    }
+
+    deleteRoom(roomName) {
+        return this.delete(`/rooms/${encodeURIComponent(roomName)}`);
+    }
+
+    // Recordings
+
+    startRecording(roomName, options = {}) {
+        return this.post(`/rooms/${encodeURIComponent(roomName)}/recordings`, options);
+    }
+
+    stopRecording(roomName, options = { properties: { stop: true } }) {
+        return this.patch(`/rooms/${encodeURIComponent(roomName)}/recordings`, options);
+    }
+
+    // One page of recordings; use collectPages('/recordings', ...) to walk them all
+    listRecordings(params) {
+        return this.get('/recordings', params);
+    }
+
+    getRecording(recordingId) {
+        return this.get(`/recordings/${encodeURIComponent(recordingId)}`);
+    }
+
+    // Resolves with { download_link, expires }
+    getRecordingAccessLink(recordingId, validForSecs = 3600) {
+        return this.get(`/recordings/${encodeURIComponent(recordingId)}/access-link`, { valid_for_secs: validForSecs });
+    }
+
+    // Meeting tokens
+
+    // Resolves with { token }
+    createMeetingToken(properties) {
+        return this.post('/meeting-tokens', { properties });
+    }
+
+    // Webhooks
+
+    // Daily has answered both with { data: [...] } and with a bare array
+    async listWebhooks() {
+        const body = await this.get('/webhooks');
+        return Array.isArray(body) ? body : (body?.data || []);
+    }
+
+    getWebhook(webhookId) {
+        return this.get(`/webhooks/${encodeURIComponent(webhookId)}`);
+    }
+
+    createWebhook(webhook) {
+        return this.post('/webhooks', webhook);
+    }
+
+    updateWebhook(webhookId, webhook) {
+        return this.post(`/webhooks/${encodeURIComponent(webhookId)}`, webhook, { retry: true });
+    }
+
+    deleteWebhook(webhookId) {
+        return this.delete(`/webhooks/${encodeURIComponent(webhookId)}`);
+    }
+}
+
+export default DailyClient;
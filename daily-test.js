@@ -1,45 +1,52 @@
 import dotenv from 'dotenv';
-import axios from 'axios';
 import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import RecordingStore from './recording-store.js';
+import SessionStore from './session-store.js';
+import { buildTimeline, PARTICIPANT_ROLES } from './session-timeline.js';
+import { downloadToFile, hashFile, getRecordingFilename } from './recording-download.js';
+import DailyClient from './daily-client.js';
+import { parseFlags, parseDateFlag } from './cli-flags.js';
 
 // Load environment variables
 dotenv.config();
 
-// Check if .env file exists, if not create from example
-const envPath = path.join(process.cwd(), '.env');
-if (!fs.existsSync(envPath)) {
-    console.log('No .env file found. Creating one...');
-    fs.writeFileSync(envPath, `# Daily.co API credentials
-DAILY_API_KEY=your_daily_api_key_here
-DAILY_DOMAIN=your-domain.daily.co
-DAILY_WEBHOOK_SECRET=your_webhook_secret_here
+// Client for the Daily.co API
+const daily = new DailyClient();
 
-# Optional: AWS credentials for recordings
-RECORDING_BUCKET_NAME=your_s3_bucket_name
-RECORDING_BUCKET_REGION=us-east-1
-RECORDING_ASSUME_ROLE_ARN=your_role_arn
-RECORDING_ALLOW_API_ACCESS=true`);
-    console.log('Created .env file. Please edit it with your API credentials.');
-    process.exit(1);
-}
+// Progress callback for downloadToFile that redraws one console line and
+// says when a dropped download is retried
+function createProgressLogger(label) {
+    let lastLogged = 0;
 
-// Validate required environment variables
-if (!process.env.DAILY_API_KEY) {
-    console.error('Error: DAILY_API_KEY is not set in .env file');
-    process.exit(1);
-}
+    return ({ received, total, attempt, delayMs, error }) => {
+        if (error) {
+            console.log(`${process.stdout.isTTY ? '\n' : ''}${label}: attempt ${attempt} failed (${error.message}), retrying in ${delayMs / 1000}s...`);
+            return;
+        }
 
-// Create axios instance for Daily.co API
-const dailyApi = axios.create({
-    baseURL: 'https://api.daily.co/v1/',
-    headers: {
-        'Authorization': `Bearer ${process.env.DAILY_API_KEY}`,
-        'Content-Type': 'application/json'
-    }
-});
+        const now = Date.now();
+        const done = total && received >= total;
+        if (!done && now - lastLogged < 500) {
+            return;
+        }
+        lastLogged = now;
+
+        const receivedMb = (received / 1024 / 1024).toFixed(1);
+        const line = total
+            ? `${label}: ${(received / total * 100).toFixed(1)}% (${receivedMb} of ${(total / 1024 / 1024).toFixed(1)} MB)`
+            : `${label}: ${receivedMb} MB`;
+
+        if (process.stdout.isTTY) {
+            process.stdout.write(`\r${line}${done ? '\n' : ''}`);
+        } else {
+            console.log(line);
+        }
+    };
+}
 
 // Daily.co API test functions
 class DailyTester {
@@ -52,12 +59,12 @@ class DailyTester {
     async getDomainConfig() {
         try {
             console.log('Getting domain configuration...');
-            const response = await dailyApi.get('/');
-            this.domainId = response.data.domain_id;
-            console.log('Domain config:', response.data);
-            return response.data;
+            const config = await daily.getDomainConfig();
+            this.domainId = config.domain_id;
+            console.log('Domain config:', config);
+            return config;
         } catch (error) {
-            console.error('Error getting domain config:', error.response?.data || error.message);
+            console.error('Error getting domain config:', error.message);
             throw new Error('Failed to get domain configuration');
         }
     }
@@ -67,7 +74,7 @@ class DailyTester {
             this.roomName = `test-room-${uuidv4().substring(0, 8)}`;
             console.log(`Creating room: ${this.roomName}`);
             
-            const response = await dailyApi.post('/rooms', {
+            const room = await daily.createRoom({
                 name: this.roomName,
                 privacy: 'private',
                 properties: {
@@ -80,10 +87,10 @@ class DailyTester {
                 }
             });
             
-            console.log('Room created:', response.data);
-            return response.data;
+            console.log('Room created:', room);
+            return room;
         } catch (error) {
-            console.error('Error creating room:', error.response?.data || error.message);
+            console.error('Error creating room:', error.message);
             throw new Error('Failed to create room');
         }
     }
@@ -94,12 +101,15 @@ class DailyTester {
         }
         
         const participantName = isInterviewer ? 'Test Interviewer' : 'Test Candidate';
+        const role = isInterviewer ? PARTICIPANT_ROLES.INTERVIEWER : PARTICIPANT_ROLES.CANDIDATE;
         const now = Math.floor(Date.now() / 1000);
         
         const payload = {
             r: this.roomName,
             d: this.domainId,
             u: participantName,
+            // Role-prefixed user id, reported back in participant webhooks for the timeline
+            ud: `${role}-${this.roomName}`,
             o: isInterviewer,
             iat: now,
             exp: now + (2 * 60 * 60),
@@ -134,18 +144,18 @@ class DailyTester {
         
         try {
             console.log(`Starting recording for room: ${this.roomName}`);
-            const response = await dailyApi.post(`/rooms/${this.roomName}/recordings`, {
+            const recording = await daily.startRecording(this.roomName, {
                 properties: {
                     layout: 'default',
                     max_duration: 300, // 5 minutes for testing
                 }
             });
             
-            this.recordingId = response.data.id;
-            console.log('Recording started:', response.data);
-            return response.data;
+            this.recordingId = recording.id;
+            console.log('Recording started:', recording);
+            return recording;
         } catch (error) {
-            console.error('Error starting recording:', error.response?.data || error.message);
+            console.error('Error starting recording:', error.message);
             throw new Error('Failed to start recording');
         }
     }
@@ -157,30 +167,38 @@ class DailyTester {
         
         try {
             console.log(`Stopping recording for room: ${this.roomName}`);
-            const response = await dailyApi.patch(`/rooms/${this.roomName}/recordings`, {
-                properties: {
-                    stop: true
-                }
-            });
+            const result = await daily.stopRecording(this.roomName);
             
-            console.log('Recording stopped:', response.data);
-            return response.data;
+            console.log('Recording stopped:', result);
+            return result;
         } catch (error) {
-            console.error('Error stopping recording:', error.response?.data || error.message);
+            console.error('Error stopping recording:', error.message);
             throw new Error('Failed to stop recording');
         }
     }
 
-    async listRecordings() {
+    // Options shared by the list commands: { all, limit, since, until,
+    // startingAfter, endingBefore }. Without all or limit a single page is fetched.
+    getListOptions({ all, limit, ...options } = {}) {
+        return {
+            ...options,
+            limit: all ? undefined : (limit ?? 100)
+        };
+    }
+
+    async listRecordings(options = {}) {
         try {
-            const url = this.roomName ? `/recordings?room_name=${this.roomName}` : '/recordings';
             console.log(`Listing recordings${this.roomName ? ` for room: ${this.roomName}` : ''}`);
             
-            const response = await dailyApi.get(url);
-            console.log('Recordings:', response.data);
-            return response.data;
+            const response = await daily.collectPages('/recordings', {
+                ...this.getListOptions(options),
+                params: this.roomName ? { room_name: this.roomName } : {}
+            });
+            console.log('Recordings:', response);
+            console.log(`Fetched ${response.data.length} of ${response.total_count} recordings`);
+            return response;
         } catch (error) {
-            console.error('Error listing recordings:', error.response?.data || error.message);
+            console.error('Error listing recordings:', error.message);
             throw new Error('Failed to list recordings');
         }
     }
@@ -188,23 +206,27 @@ class DailyTester {
     async getRecordingById(recordingId) {
         try {
             console.log(`Getting recording with ID: ${recordingId}`);
-            const response = await dailyApi.get(`/recordings/${recordingId}`);
-            console.log('Recording details:', response.data);
-            return response.data;
+            const recording = await daily.getRecording(recordingId);
+            console.log('Recording details:', recording);
+            return recording;
         } catch (error) {
-            console.error('Error getting recording:', error.response?.data || error.message);
+            console.error('Error getting recording:', error.message);
             throw new Error('Failed to get recording details');
         }
     }
 
-    async listRecordingsByRoom(roomName) {
+    async listRecordingsByRoom(roomName, options = {}) {
         try {
             console.log(`Listing recordings for room: ${roomName}`);
-            const response = await dailyApi.get(`/recordings?room_name=${roomName}`);
-            console.log('Recordings for room:', response.data);
-            return response.data;
+            const response = await daily.collectPages('/recordings', {
+                ...this.getListOptions(options),
+                params: { room_name: roomName }
+            });
+            console.log('Recordings for room:', response);
+            console.log(`Fetched ${response.data.length} of ${response.total_count} recordings`);
+            return response;
         } catch (error) {
-            console.error('Error listing recordings for room:', error.response?.data || error.message);
+            console.error('Error listing recordings for room:', error.message);
             throw new Error('Failed to list recordings for room');
         }
     }
@@ -216,11 +238,11 @@ class DailyTester {
         
         try {
             console.log(`Getting status for recording: ${this.recordingId}`);
-            const response = await dailyApi.get(`/recordings/${this.recordingId}`);
-            console.log('Recording status:', response.data);
-            return response.data;
+            const recording = await daily.getRecording(this.recordingId);
+            console.log('Recording status:', recording);
+            return recording;
         } catch (error) {
-            console.error('Error getting recording status:', error.response?.data || error.message);
+            console.error('Error getting recording status:', error.message);
             throw new Error('Failed to get recording status');
         }
     }
@@ -228,19 +250,19 @@ class DailyTester {
     async getRecordingDownloadUrl(recordingId) {
         try {
             console.log(`Getting download URL for recording: ${recordingId}`);
-            const response = await dailyApi.get(`/recordings/${recordingId}`);
+            const recording = await daily.getRecording(recordingId);
             
-            console.log('Recording details:', response.data);
+            console.log('Recording details:', recording);
             
-            if (response.data.download_link) {
-                console.log('Download URL:', response.data.download_link);
-                return response.data.download_link;
+            if (recording.download_link) {
+                console.log('Download URL:', recording.download_link);
+                return recording.download_link;
             } else {
                 console.log('Recording may still be processing or download link not available');
                 return null;
             }
         } catch (error) {
-            console.error('Error getting recording download URL:', error.response?.data || error.message);
+            console.error('Error getting recording download URL:', error.message);
             throw error;
         }
     }
@@ -255,18 +277,18 @@ class DailyTester {
     async getRecordingAccessLink(recordingId, validForSecs = 3600) {
         try {
             console.log(`Getting access link for recording: ${recordingId}`);
-            const response = await dailyApi.get(`/recordings/${recordingId}/access-link?valid_for_secs=${validForSecs}`);
+            const accessLink = await daily.getRecordingAccessLink(recordingId, validForSecs);
             
-            if (response.data.download_link) {
-                console.log('Recording access link:', response.data.download_link);
-                console.log('Link expires at:', new Date(response.data.expires * 1000).toLocaleString());
-                return response.data.download_link;
+            if (accessLink.download_link) {
+                console.log('Recording access link:', accessLink.download_link);
+                console.log('Link expires at:', new Date(accessLink.expires * 1000).toLocaleString());
+                return accessLink.download_link;
             } else {
                 console.log('Access link not available');
                 return null;
             }
         } catch (error) {
-            console.error('Error getting recording access link:', error.response?.data || error.message);
+            console.error('Error getting recording access link:', error.message);
             throw error;
         }
     }
@@ -274,18 +296,20 @@ class DailyTester {
     async getRoomRecordingsWithAccessLinks(roomName, validForSecs = 3600) {
         try {
             console.log(`Getting all recordings for room: ${roomName}`);
-            const recordingsResponse = await dailyApi.get(`/recordings?room_name=${roomName}`);
+            const recordingsResponse = await daily.collectPages('/recordings', {
+                params: { room_name: roomName }
+            });
             
-            if (!recordingsResponse.data.data || recordingsResponse.data.data.length === 0) {
+            if (recordingsResponse.data.length === 0) {
                 console.log(`No recordings found for room: ${roomName}`);
                 return [];
             }
             
-            console.log(`Found ${recordingsResponse.data.data.length} recordings for room: ${roomName}`);
+            console.log(`Found ${recordingsResponse.data.length} recordings for room: ${roomName}`);
             
             const recordingsWithLinks = [];
             
-            for (const recording of recordingsResponse.data.data) {
+            for (const recording of recordingsResponse.data) {
                 console.log(`\nProcessing recording: ${recording.id}`);
                 console.log(`  Status: ${recording.status}`);
                 console.log(`  Duration: ${recording.duration} seconds`);
@@ -293,11 +317,11 @@ class DailyTester {
                 
                 try {
                     if (recording.status === 'finished') {
-                        const accessLinkResponse = await dailyApi.get(`/recordings/${recording.id}/access-link?valid_for_secs=${validForSecs}`);
+                        const accessLinkResponse = await daily.getRecordingAccessLink(recording.id, validForSecs);
                         
-                        if (accessLinkResponse.data.download_link) {
-                            const accessLink = accessLinkResponse.data.download_link;
-                            const expiresAt = new Date(accessLinkResponse.data.expires * 1000).toLocaleString();
+                        if (accessLinkResponse.download_link) {
+                            const accessLink = accessLinkResponse.download_link;
+                            const expiresAt = new Date(accessLinkResponse.expires * 1000).toLocaleString();
                             
                             console.log(`  Access link: ${accessLink}`);
                             console.log(`  Link expires at: ${expiresAt}`);
@@ -324,7 +348,7 @@ class DailyTester {
                         });
                     }
                 } catch (error) {
-                    console.error(`  Error getting access link for recording ${recording.id}:`, error.response?.data || error.message);
+                    console.error(`  Error getting access link for recording ${recording.id}:`, error.message);
                     recordingsWithLinks.push({
                         recording,
                         accessLink: null,
@@ -353,45 +377,38 @@ class DailyTester {
             
             return recordingsWithLinks;
         } catch (error) {
-            console.error(`Error getting recordings for room ${roomName}:`, error.response?.data || error.message);
+            console.error(`Error getting recordings for room ${roomName}:`, error.message);
             throw error;
         }
     }
 
-    async downloadRecording(recordingId, outputPath = './recordings/') {
+    // Download a recording to <room>_<id>_<start>.mp4, skipping it when that
+    // file already exists. Pass the recording object if it is already known.
+    async downloadRecording(recordingId, outputPath = './recordings/', { recording } = {}) {
         try {
-            const downloadUrl = await this.getRecordingDownloadUrl(recordingId);
-            
-            if (!downloadUrl) {
-                throw new Error('Download URL not available');
+            if (!recording) {
+                recording = await daily.getRecording(recordingId);
             }
             
-            // Create recordings directory if it doesn't exist
-            if (!fs.existsSync(outputPath)) {
-                fs.mkdirSync(outputPath, { recursive: true });
+            const filePath = path.join(outputPath, getRecordingFilename(recording));
+            
+            if (fs.existsSync(filePath)) {
+                console.log(`Recording ${recordingId} already downloaded: ${filePath}`);
+                const { size } = fs.statSync(filePath);
+                return { filePath, size, sha256: await hashFile(filePath), skipped: true };
             }
             
             console.log(`Downloading recording ${recordingId}...`);
             
-            const response = await axios({
-                method: 'GET',
-                url: downloadUrl,
-                responseType: 'stream'
-            });
-            
-            const filename = `recording_${recordingId}_${Date.now()}.mp4`;
-            const filePath = path.join(outputPath, filename);
-            const writer = fs.createWriteStream(filePath);
+            // Links expire, so every attempt asks Daily for a fresh one
+            const download = await downloadToFile(
+                async () => await this.getRecordingDownloadUrl(recordingId) || await this.getRecordingAccessLink(recordingId),
+                filePath,
+                { onProgress: createProgressLogger(`  ${recordingId}`) }
+            );
             
-            response.data.pipe(writer);
-            
-            return new Promise((resolve, reject) => {
-                writer.on('finish', () => {
-                    console.log(`Recording downloaded to: ${filePath}`);
-                    resolve(filePath);
-                });
-                writer.on('error', reject);
-            });
+            console.log(`Recording downloaded to: ${filePath} (${download.size} bytes, sha256 ${download.sha256})`);
+            return { filePath, size: download.size, sha256: download.sha256, skipped: false };
             
         } catch (error) {
             console.error('Error downloading recording:', error.message);
@@ -399,6 +416,79 @@ class DailyTester {
         }
     }
 
+    // Fetch every recording matching the filters (since/until in unix seconds)
+    async listAllRecordings({ roomName, since, until, status } = {}) {
+        const response = await daily.collectPages('/recordings', {
+            params: roomName ? { room_name: roomName } : {},
+            since,
+            until
+        });
+        
+        return response.data.filter(recording => !status || recording.status === status);
+    }
+
+    // Download every matching recording with at most `concurrency` transfers
+    // at a time, and write a manifest of what ended up on disk
+    async downloadAllRecordings(filters = {}, { outputPath = './recordings/', concurrency = 3 } = {}) {
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new Error(`Invalid concurrency: ${concurrency} (expected a positive integer)`);
+        }
+        
+        console.log('Finding recordings to download...');
+        const recordings = await this.listAllRecordings(filters);
+        console.log(`Found ${recordings.length} recordings`);
+        
+        const results = [];
+        let next = 0;
+        
+        const worker = async () => {
+            while (next < recordings.length) {
+                const recording = recordings[next++];
+                const entry = {
+                    id: recording.id,
+                    room_name: recording.room_name,
+                    start_ts: recording.start_ts,
+                    duration: recording.duration
+                };
+                
+                try {
+                    const download = await this.downloadRecording(recording.id, outputPath, { recording });
+                    results.push({
+                        ...entry,
+                        status: download.skipped ? 'skipped' : 'downloaded',
+                        path: download.filePath,
+                        size: download.size,
+                        sha256: download.sha256
+                    });
+                } catch (error) {
+                    results.push({ ...entry, status: 'failed', error: error.message });
+                }
+            }
+        };
+        
+        await Promise.all(Array.from({ length: concurrency }, worker));
+        
+        results.sort((a, b) => (b.start_ts || 0) - (a.start_ts || 0));
+        
+        const manifest = {
+            generated_at: new Date().toISOString(),
+            filters,
+            recordings: results
+        };
+        
+        if (!fs.existsSync(outputPath)) {
+            fs.mkdirSync(outputPath, { recursive: true });
+        }
+        const manifestPath = path.join(outputPath, 'manifest.json');
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+        
+        const count = status => results.filter(result => result.status === status).length;
+        console.log(`\nDownloaded: ${count('downloaded')}, already present: ${count('skipped')}, failed: ${count('failed')}`);
+        console.log(`Manifest written to: ${manifestPath}`);
+        
+        return manifest;
+    }
+
     async listRecordingAccessInfo() {
         try {
             const recordings = await this.listRecordings();
@@ -434,15 +524,15 @@ class DailyTester {
     async configureWebhook(webhookUrl) {
         try {
             console.log(`Configuring webhook: ${webhookUrl}`);
-            const response = await dailyApi.post('/webhooks', {
+            const webhook = await daily.createWebhook({
                 url: webhookUrl,
                 events: ['recording-started', 'recording-done', 'recording-error']
             });
             
-            console.log('Webhook configured:', response.data);
-            return response.data;
+            console.log('Webhook configured:', webhook);
+            return webhook;
         } catch (error) {
-            console.error('Error configuring webhook:', error.response?.data || error.message);
+            console.error('Error configuring webhook:', error.message);
             throw new Error('Failed to configure webhook');
         }
     }
@@ -468,8 +558,8 @@ class DailyTester {
             console.log(`Bucket: ${bucketName}, Region: ${bucketRegion}`);
             console.log(`Role ARN: ${assumeRoleArn}, Allow API Access: ${allowApiAccess}, Allow Streaming From Bucket: ${allowStreamingFromBucket}`);
             
-            // FIXED: Use the correct endpoint - POST to root '/' endpoint for domain configuration
-            const response = await dailyApi.post('/', {
+            // Recording bucket settings live in the domain configuration (POST /)
+            const config = await daily.updateDomainConfig({
                 properties: {
                     recordings_bucket: {
                         bucket_name: bucketName,
@@ -481,10 +571,10 @@ class DailyTester {
                 }
             });
             
-            console.log('S3 recording settings configured:', response.data);
-            return response.data;
+            console.log('S3 recording settings configured:', config);
+            return config;
         } catch (error) {
-            console.error('Error configuring S3 recording settings:', error.response?.data || error.message);
+            console.error('Error configuring S3 recording settings:', error.message);
             throw new Error('Failed to configure S3 recording settings');
         }
     }
@@ -495,27 +585,67 @@ class DailyTester {
         
         try {
             console.log(`Deleting room: ${this.roomName}`);
-            const response = await dailyApi.delete(`/rooms/${this.roomName}`);
-            console.log('Room deleted:', response.data);
-            return response.data;
+            const result = await daily.deleteRoom(this.roomName);
+            console.log('Room deleted:', result);
+            return result;
         } catch (error) {
-            console.error('Error deleting room:', error.response?.data || error.message);
+            console.error('Error deleting room:', error.message);
             throw new Error('Failed to delete room');
         }
     }
 
-    async listRooms() {
+    async listRooms(options = {}) {
         try {
             console.log('Listing all rooms...');
-            const response = await dailyApi.get('/rooms');
-            console.log('Rooms:', response.data);
-            return response.data;
+            const response = await daily.collectPages('/rooms', {
+                ...this.getListOptions(options),
+                timeOf: room => Math.floor(Date.parse(room.created_at) / 1000)
+            });
+            console.log('Rooms:', response);
+            console.log(`Fetched ${response.data.length} of ${response.total_count} rooms`);
+            return response;
         } catch (error) {
-            console.error('Error listing rooms:', error.response?.data || error.message);
+            console.error('Error listing rooms:', error.message);
             throw new Error('Failed to list rooms');
         }
     }
 
+    // Print the interview timeline the webhook server recorded for a room. The
+    // stores are opened read-only so a running server's appends are never lost.
+    showTimeline(roomName) {
+        const timeline = buildTimeline(roomName, {
+            sessionStore: new SessionStore(undefined, { readOnly: true }),
+            recordingStore: new RecordingStore(undefined, { readOnly: true })
+        });
+        
+        if (!timeline) {
+            console.log(`No webhook events recorded for room: ${roomName}`);
+            return null;
+        }
+        
+        const formatTime = ts => ts ? new Date(ts * 1000).toLocaleString() : 'Unknown';
+        
+        console.log(`\n--- Interview Timeline: ${roomName} ---`);
+        
+        console.log('\nParticipants:');
+        if (timeline.participants.length === 0) {
+            console.log('  None recorded');
+        }
+        timeline.participants.forEach(participant => {
+            console.log(`  ${participant.role}: ${participant.user_name || participant.user_id || 'Unknown'}`);
+            console.log(`    Joined: ${formatTime(participant.joined_at)}`);
+            console.log(`    Left: ${participant.left_at ? formatTime(participant.left_at) : 'Still in call'}`);
+        });
+        
+        console.log('\nEvents:');
+        timeline.entries.forEach(entry => {
+            console.log(`  ${formatTime(entry.ts)}  ${entry.error ? '❌ ' : ''}${entry.description}`);
+        });
+        
+        console.log(`\nRecordings: ${timeline.recordings.length}, errors: ${timeline.errors.length}`);
+        return timeline;
+    }
+
     getMeetingUrl() {
         if (!this.roomName) {
             throw new Error('Room Name must be set before getting meeting URL');
@@ -531,13 +661,64 @@ class DailyTester {
     }
 }
 
+// Options for the list commands: --all, --limit N, --since DATE, --until DATE,
+// --starting-after ID, --ending-before ID
+const LIST_BOOLEAN_FLAGS = ['all'];
+
+function parseListFlags(flags) {
+    const limit = flags.limit === undefined ? undefined : parseInt(flags.limit);
+    if (Number.isNaN(limit) || limit < 1) {
+        throw new Error(`Invalid --limit: ${flags.limit}`);
+    }
+    
+    return {
+        all: flags.all === true,
+        limit,
+        since: parseDateFlag(flags.since, 'since'),
+        until: parseDateFlag(flags.until, 'until'),
+        startingAfter: flags['starting-after'],
+        endingBefore: flags['ending-before']
+    };
+}
+
+// Create a template .env on first run and make sure an API key is set
+function checkEnvironment() {
+    const envPath = path.join(process.cwd(), '.env');
+    if (!fs.existsSync(envPath)) {
+        console.log('No .env file found. Creating one...');
+        fs.writeFileSync(envPath, `# Daily.co API credentials
+DAILY_API_KEY=your_daily_api_key_here
+DAILY_DOMAIN=your-domain.daily.co
+DAILY_WEBHOOK_SECRET=your_webhook_secret_here
+
+# Optional: AWS credentials for recordings
+RECORDING_BUCKET_NAME=your_s3_bucket_name
+RECORDING_BUCKET_REGION=us-east-1
+RECORDING_ASSUME_ROLE_ARN=your_role_arn
+RECORDING_ALLOW_API_ACCESS=true`);
+        console.log('Created .env file. Please edit it with your API credentials.');
+        process.exit(1);
+    }
+
+    // Validate required environment variables
+    if (!process.env.DAILY_API_KEY) {
+        console.error('Error: DAILY_API_KEY is not set in .env file');
+        process.exit(1);
+    }
+}
+
 // Command line interface for testing
 async function runTests() {
-    const tester = new DailyTester();
-    
     // Parse command line arguments
     const args = process.argv.slice(2);
     const command = args[0];
+
+    // timeline only reads the webhook server's local stores
+    if (command !== 'timeline') {
+        checkEnvironment();
+    }
+    
+    const tester = new DailyTester();
     
     try {
         if (!command || command === 'help') {
@@ -546,25 +727,46 @@ Daily.co API Tester
 ------------------
 Available commands:
   node daily-test.js create-room        - Create a test room and generate tokens
-  node daily-test.js list-rooms         - List all rooms in your domain
+  node daily-test.js list-rooms [list options] - List rooms in your domain
   node daily-test.js start-recording    - Start recording in the last created room
   node daily-test.js stop-recording     - Stop recording in the last created room
-  node daily-test.js list-recordings    - List all recordings
+  node daily-test.js list-recordings [list options] - List recordings
   node daily-test.js access-recordings  - List recordings with access URLs
   node daily-test.js get-recording ID   - Get details of a specific recording by ID
   node daily-test.js get-share-url ID   - Get share URL for a recording
   node daily-test.js get-access-link ID [valid_for_secs] - Get streaming access link for a recording
   node daily-test.js room-recordings ROOM_NAME [valid_for_secs] - Get all recordings for a room with access links
   node daily-test.js get-download-url ID - Get download URL for a recording
-  node daily-test.js download-recording ID [path] - Download a recording to local file
-  node daily-test.js recordings-by-room ROOM_NAME - List recordings for a specific room
+  node daily-test.js download-recording ID [path] - Download a recording (resumes dropped transfers, skips ones already downloaded)
+  node daily-test.js download-all [--room ROOM_NAME] [--since DATE] [--until DATE] [--status finished|all] [--concurrency 3] [--output ./recordings/]
+                                        - Download every matching recording and write manifest.json
+  node daily-test.js recordings-by-room ROOM_NAME [list options] - List recordings for a specific room
   node daily-test.js delete-room        - Delete the last created room
+  node daily-test.js timeline ROOM_NAME - Show the interview timeline recorded by the webhook server
   node daily-test.js webhook URL        - Configure a webhook
   node daily-test.js configure-s3 [BUCKET_NAME] [BUCKET_REGION] [ASSUME_ROLE_ARN] [ALLOW_API_ACCESS] [ALLOW_STREAMING] - Configure S3 recording settings (uses .env if not provided)
+
+List options:
+  --all                  Fetch every page instead of only the first 100 results
+  --limit N              Fetch at most N results, across pages if needed
+  --since DATE           Only results created/started at or after DATE (ISO date or unix seconds)
+  --until DATE           Only results created/started at or before DATE
+  --starting-after ID    Start after this ID (older results)
+  --ending-before ID     Start before this ID (newer results)
             `);
             return;
         }
 
+        // The timeline comes from the webhook server's local data, not the Daily API
+        if (command === 'timeline') {
+            const timelineRoom = args[1];
+            if (!timelineRoom) {
+                throw new Error('Room name is required. Usage: node daily-test.js timeline ROOM_NAME');
+            }
+            tester.showTimeline(timelineRoom);
+            return;
+        }
+
         // Always get domain config first
         await tester.getDomainConfig();
         
@@ -598,7 +800,7 @@ Available commands:
                 break;
                 
             case 'list-rooms':
-                await tester.listRooms();
+                await tester.listRooms(parseListFlags(parseFlags(args.slice(1), { booleans: LIST_BOOLEAN_FLAGS }).flags));
                 break;
                 
             case 'start-recording':
@@ -643,7 +845,7 @@ Available commands:
                     console.log(`Loaded room info: ${tester.roomName}`);
                 }
                 
-                await tester.listRecordings();
+                await tester.listRecordings(parseListFlags(parseFlags(args.slice(1), { booleans: LIST_BOOLEAN_FLAGS }).flags));
                 break;
 
             case 'access-recordings':
@@ -664,6 +866,24 @@ Available commands:
                 await tester.downloadRecording(downloadRecordingId, outputPath);
                 break;
 
+            case 'download-all': {
+                const { flags } = parseFlags(args.slice(1));
+                if (flags.concurrency !== undefined && !/^[1-9]\d*$/.test(flags.concurrency)) {
+                    throw new Error(`Invalid --concurrency: ${flags.concurrency}. Usage: node daily-test.js download-all [--concurrency N] (N a positive integer)`);
+                }
+                const filters = {
+                    roomName: flags.room,
+                    since: parseDateFlag(flags.since, 'since'),
+                    until: parseDateFlag(flags.until, 'until'),
+                    status: flags.status === 'all' ? undefined : (flags.status || 'finished')
+                };
+                await tester.downloadAllRecordings(filters, {
+                    outputPath: flags.output || './recordings/',
+                    concurrency: flags.concurrency === undefined ? 3 : parseInt(flags.concurrency)
+                });
+                break;
+            }
+
             case 'get-download-url':
                 const urlRecordingId = args[1];
                 if (!urlRecordingId) {
@@ -712,11 +932,11 @@ Available commands:
                 break;
                 
             case 'recordings-by-room':
-                const roomName = args[1];
+                const { flags: roomFlags, positional: [roomName] } = parseFlags(args.slice(1), { booleans: LIST_BOOLEAN_FLAGS });
                 if (!roomName) {
-                    throw new Error('Room name is required. Usage: node daily-test.js recordings-by-room ROOM_NAME');
+                    throw new Error('Room name is required. Usage: node daily-test.js recordings-by-room ROOM_NAME [list options]');
                 }
-                await tester.listRecordingsByRoom(roomName);
+                await tester.listRecordingsByRoom(roomName, parseListFlags(roomFlags));
                 break;
                 
             case 'delete-room':
@@ -761,11 +981,14 @@ Available commands:
         }
     } catch (error) {
         console.error('Error:', error.message);
+        process.exitCode = 1;
     }
 }
 
-// Run the tests
-runTests();
+// Run the tests when invoked directly, not when imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    runTests();
+}
 
 // Export for use in other files
 export default DailyTester;
\ No newline at end of file
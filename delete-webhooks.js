@@ -1,37 +1,20 @@
 import dotenv from 'dotenv';
-import axios from 'axios';
+import DailyClient from './daily-client.js';
 
 // Load environment variables
 dotenv.config();
 
-// Create axios instance for Daily.co API
-const dailyApi = axios.create({
-    baseURL: 'https://api.daily.co/v1/',
-    headers: {
-        'Authorization': `Bearer ${process.env.DAILY_API_KEY}`,
-        'Content-Type': 'application/json'
-    }
-});
+// Client for the Daily.co API
+const daily = new DailyClient();
 
 async function listWebhooks() {
     try {
         console.log('Listing current webhooks...');
-        const response = await dailyApi.get('/webhooks');
-        console.log('Raw API response:', JSON.stringify(response.data, null, 2));
-        
-        // Handle both possible response formats
-        if (response.data && response.data.data) {
-            // New API format with data.data structure
-            return response.data.data;
-        } else if (Array.isArray(response.data)) {
-            // Old API format with direct array
-            return response.data;
-        } else {
-            console.log('Unexpected API response format:', response.data);
-            return [];
-        }
+        const webhooks = await daily.listWebhooks();
+        console.log('Webhooks:', JSON.stringify(webhooks, null, 2));
+        return webhooks;
     } catch (error) {
-        console.error('Error listing webhooks:', error.response?.data || error.message);
+        console.error('Error listing webhooks:', error.message);
         throw error;
     }
 }
@@ -39,10 +22,10 @@ async function listWebhooks() {
 async function deleteWebhook(webhookId) {
     try {
         console.log(`Deleting webhook with ID: ${webhookId}`);
-        await dailyApi.delete(`/webhooks/${webhookId}`);
+        await daily.deleteWebhook(webhookId);
         console.log(`✅ Deleted webhook: ${webhookId}`);
     } catch (error) {
-        console.error(`❌ Error deleting webhook ${webhookId}:`, error.response?.data || error.message);
+        console.error(`❌ Error deleting webhook ${webhookId}:`, error.message);
     }
 }
 
@@ -0,0 +1,64 @@
+// Remembers recently handled webhook deliveries so retries from Daily are
+// acknowledged without running the handlers a second time
+class DeliveryDeduplicator {
+    constructor(retentionSecs = parseInt(process.env.WEBHOOK_DEDUP_RETENTION_SECS) || 24 * 60 * 60) {
+        this.retentionMs = retentionSecs * 1000;
+        this.seen = new Map();
+    }
+
+    // Key deliveries by event id, or by (type, subject id) when Daily sends
+    // none: the recording for recording events, the session or meeting otherwise
+    keyFor(event) {
+        if (event?.id) {
+            return `id:${event.id}`;
+        }
+
+        const payload = event?.payload || {};
+        const subjectId = payload.recording_id || payload.session_id || payload.meeting_id;
+        if (event?.type && subjectId) {
+            return `${event.type}:${subjectId}`;
+        }
+
+        return null;
+    }
+
+    // Mark a delivery as handled; returns false if it was already seen
+    // within the retention window. Events without a key are never deduplicated.
+    claim(event) {
+        const key = this.keyFor(event);
+        if (!key) {
+            return true;
+        }
+
+        this.prune();
+
+        if (this.seen.has(key)) {
+            return false;
+        }
+
+        this.seen.set(key, Date.now());
+        return true;
+    }
+
+    // Forget a delivery whose handling failed so Daily's retry is processed
+    release(event) {
+        const key = this.keyFor(event);
+        if (key) {
+            this.seen.delete(key);
+        }
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.retentionMs;
+
+        // Map iteration follows insertion order, so the oldest entries come first
+        for (const [key, seenAt] of this.seen) {
+            if (seenAt >= cutoff) {
+                break;
+            }
+            this.seen.delete(key);
+        }
+    }
+}
+
+export default DeliveryDeduplicator;
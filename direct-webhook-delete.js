@@ -1,17 +1,11 @@
 import dotenv from 'dotenv';
-import axios from 'axios';
+import DailyClient from './daily-client.js';
 
 // Load environment variables
 dotenv.config();
 
-// Create axios instance for Daily.co API
-const dailyApi = axios.create({
-    baseURL: 'https://api.daily.co/v1/',
-    headers: {
-        'Authorization': `Bearer ${process.env.DAILY_API_KEY}`,
-        'Content-Type': 'application/json'
-    }
-});
+// Client for the Daily.co API
+const daily = new DailyClient();
 
 async function forceDeleteWebhook() {
     const webhookUuid = 'bce1a814-3122-400a-9491-1010cf5cb108';
@@ -19,8 +13,8 @@ async function forceDeleteWebhook() {
     try {
         console.log(`Attempting to delete webhook: ${webhookUuid}`);
         
-        const response = await dailyApi.delete(`/webhooks/${webhookUuid}`);
-        console.log('✅ Webhook deleted successfully:', response.data);
+        const result = await daily.deleteWebhook(webhookUuid);
+        console.log('✅ Webhook deleted successfully:', result);
         
         // Wait a moment for deletion to propagate
         console.log('Waiting for deletion to propagate...');
@@ -28,11 +22,11 @@ async function forceDeleteWebhook() {
         
         // Verify deletion
         console.log('Verifying deletion...');
-        const listResponse = await dailyApi.get('/webhooks');
+        const remaining = await daily.listWebhooks();
         
-        if (listResponse.data.data && listResponse.data.data.length > 0) {
-            console.log('⚠️  Remaining webhooks:', listResponse.data.data.length);
-            listResponse.data.data.forEach(webhook => {
+        if (remaining.length > 0) {
+            console.log('⚠️  Remaining webhooks:', remaining.length);
+            remaining.forEach(webhook => {
                 console.log(`  - ${webhook.uuid}: ${webhook.url}`);
             });
         } else {
@@ -40,9 +34,9 @@ async function forceDeleteWebhook() {
         }
         
     } catch (error) {
-        console.error('❌ Error deleting webhook:', error.response?.data || error.message);
+        console.error('❌ Error deleting webhook:', error.message);
         
-        if (error.response?.status === 404) {
+        if (error.status === 404) {
             console.log('✅ Webhook not found - it may already be deleted');
         }
     }
@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+
+// Readiness checks for the webhook server: can it write its log and stores,
+// does Daily accept DAILY_API_KEY, and is the webhook saved in
+// webhook-info.json still ACTIVE without piling up failed deliveries. The
+// Daily checks are cached so frequent probes do not eat into the API rate limit.
+
+export const CHECK_STATUS = {
+    PASS: 'pass',
+    FAIL: 'fail'
+};
+
+// Failed Daily checks are retried sooner than passing ones are refreshed
+const FAILURE_CACHE_MS = 30 * 1000;
+
+// Throws unless filePath can be written, or created if it does not exist yet
+function assertWritable(filePath) {
+    let target = path.resolve(filePath);
+    while (!fs.existsSync(target)) {
+        target = path.dirname(target);
+    }
+
+    if (target !== path.resolve(filePath) && !fs.statSync(target).isDirectory()) {
+        throw new Error(`${target} is not a directory`);
+    }
+    fs.accessSync(target, fs.constants.W_OK);
+}
+
+class HealthChecks {
+    constructor({
+        daily,
+        apiKey = process.env.DAILY_API_KEY,
+        logFile = process.env.LOG_FILE || './recording_events.log',
+        storePaths = [],
+        webhookInfoFile = './webhook-info.json',
+        maxWebhookFailures = parseInt(process.env.WEBHOOK_MAX_FAILURES) || 3,
+        cacheTtlSecs = parseInt(process.env.HEALTH_CACHE_TTL_SECS) || 300
+    } = {}) {
+        this.daily = daily;
+        this.apiKey = apiKey;
+        this.logFile = logFile;
+        this.storePaths = storePaths;
+        this.webhookInfoFile = webhookInfoFile;
+        this.maxWebhookFailures = maxWebhookFailures;
+        this.cacheTtlMs = cacheTtlSecs * 1000;
+        this.cache = new Map();
+    }
+
+    // Run every check; resolves with { ready, checks: { name: { status, ... } } }
+    async run() {
+        const [dailyApi, webhook] = await Promise.all([
+            this.cached('daily_api', () => this.checkDailyApi()),
+            this.checkWebhook()
+        ]);
+        const checks = {
+            log_file: this.checkLogFile(),
+            stores: this.checkStores(),
+            daily_api: dailyApi,
+            webhook
+        };
+
+        return {
+            ready: Object.values(checks).every(check => check.status === CHECK_STATUS.PASS),
+            checks
+        };
+    }
+
+    checkLogFile() {
+        if (!this.logFile) {
+            return { status: CHECK_STATUS.PASS, path: null };
+        }
+        try {
+            assertWritable(this.logFile);
+            return { status: CHECK_STATUS.PASS, path: this.logFile };
+        } catch (error) {
+            return { status: CHECK_STATUS.FAIL, path: this.logFile, error: error.message };
+        }
+    }
+
+    checkStores() {
+        const failures = [];
+        for (const storePath of this.storePaths) {
+            try {
+                assertWritable(storePath);
+            } catch (error) {
+                failures.push(`${storePath}: ${error.message}`);
+            }
+        }
+
+        return failures.length === 0
+            ? { status: CHECK_STATUS.PASS, paths: this.storePaths }
+            : { status: CHECK_STATUS.FAIL, paths: this.storePaths, error: failures.join('; ') };
+    }
+
+    // GET / only answers for a valid key, and tells us which domain it belongs to
+    async checkDailyApi() {
+        if (!this.apiKey) {
+            return { status: CHECK_STATUS.FAIL, error: 'DAILY_API_KEY is not set' };
+        }
+        try {
+            const domain = await this.daily.getDomainConfig();
+            return { status: CHECK_STATUS.PASS, domain_name: domain?.domain_name };
+        } catch (error) {
+            const message = error.status === 401 || error.status === 403
+                ? 'Daily rejected DAILY_API_KEY'
+                : error.message;
+            return { status: CHECK_STATUS.FAIL, error: message };
+        }
+    }
+
+    async checkWebhook() {
+        if (!fs.existsSync(this.webhookInfoFile)) {
+            return { status: CHECK_STATUS.FAIL, error: `No webhook registered: ${this.webhookInfoFile} not found` };
+        }
+
+        let info;
+        try {
+            info = JSON.parse(fs.readFileSync(this.webhookInfoFile, 'utf8'));
+        } catch (error) {
+            return { status: CHECK_STATUS.FAIL, error: `Cannot read ${this.webhookInfoFile}: ${error.message}` };
+        }
+        if (!info.id) {
+            return { status: CHECK_STATUS.FAIL, error: `${this.webhookInfoFile} has no webhook id; run setup-webhook.js setup again` };
+        }
+
+        // Keyed by id so a webhook set up again is checked straight away
+        return this.cached(`webhook:${info.id}`, () => this.checkWebhookAtDaily(info.id));
+    }
+
+    async checkWebhookAtDaily(webhookId) {
+        let webhook;
+        try {
+            webhook = await this.daily.getWebhook(webhookId);
+        } catch (error) {
+            const message = error.status === 404
+                ? `Webhook ${webhookId} no longer exists at Daily`
+                : error.message;
+            return { status: CHECK_STATUS.FAIL, id: webhookId, error: message };
+        }
+
+        const details = { id: webhookId, url: webhook.url, state: webhook.state, failures: webhook.failures || 0 };
+        if (webhook.state !== 'ACTIVE') {
+            return { status: CHECK_STATUS.FAIL, ...details, error: `Webhook is ${webhook.state}` };
+        }
+        if (details.failures > this.maxWebhookFailures) {
+            return { status: CHECK_STATUS.FAIL, ...details, error: `Webhook has ${details.failures} failed deliveries (limit ${this.maxWebhookFailures})` };
+        }
+        return { status: CHECK_STATUS.PASS, ...details };
+    }
+
+    // Reuse a recent result, and share one in-progress check between
+    // concurrent probes; checked_at says how old the result is
+    cached(name, check) {
+        const entry = this.cache.get(name);
+        if (entry && (entry.expiresAt === undefined || Date.now() < entry.expiresAt)) {
+            return entry.result;
+        }
+
+        const fresh = {};
+        fresh.result = check().then(result => {
+            const ttlMs = result.status === CHECK_STATUS.PASS ? this.cacheTtlMs : Math.min(this.cacheTtlMs, FAILURE_CACHE_MS);
+            fresh.expiresAt = Date.now() + ttlMs;
+            return { ...result, checked_at: new Date().toISOString() };
+        });
+        this.cache.set(name, fresh);
+        return fresh.result;
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+}
+
+export { HealthChecks };
+export default HealthChecks;
@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import JsonlStore from './jsonl-store.js';
+
+export const JOB_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    DEAD: 'dead'
+};
+
+// Background jobs persisted to a JSON-lines file so work acknowledged to
+// Daily survives restarts. Failed jobs are retried with exponential backoff
+// and moved to the dead-letter list once they run out of attempts.
+class JobQueue {
+    constructor({
+        filePath = process.env.JOB_QUEUE_FILE || './data/jobs.jsonl',
+        maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+        baseDelayMs = parseInt(process.env.JOB_RETRY_BASE_MS) || 5000,
+        maxDelayMs = 15 * 60 * 1000,
+        pollIntervalMs = 1000,
+        concurrency = 2,
+        log = console
+    } = {}) {
+        this.store = new JsonlStore(filePath, 'id');
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.pollIntervalMs = pollIntervalMs;
+        this.concurrency = concurrency;
+        this.log = log;
+
+        this.workers = new Map();
+        this.running = new Map();
+        this.context = null;
+        this.timer = null;
+        this.started = false;
+
+        // Jobs that were mid-run when the process died get another go
+        for (const job of this.store.all()) {
+            if (job.status === JOB_STATUS.RUNNING) {
+                this.store.upsert(job.id, { status: JOB_STATUS.PENDING });
+            }
+        }
+    }
+
+    // worker(data, context, job) performs one job of the given type; throw to retry
+    registerWorker(type, worker) {
+        this.workers.set(type, worker);
+        return this;
+    }
+
+    // Register a { type: worker } map, as exported by job modules
+    registerWorkers(workers) {
+        for (const [type, worker] of Object.entries(workers)) {
+            this.registerWorker(type, worker);
+        }
+        return this;
+    }
+
+    enqueue(type, data, { maxAttempts = this.maxAttempts } = {}) {
+        const job = this.store.upsert(crypto.randomUUID(), {
+            type,
+            data,
+            status: JOB_STATUS.PENDING,
+            attempts: 0,
+            max_attempts: maxAttempts,
+            run_at: Date.now()
+        });
+
+        this.log.info('Job queued', { job_type: type, job_id: job.id });
+        this.schedule(0);
+        return job;
+    }
+
+    get(id) {
+        return this.store.get(id);
+    }
+
+    list({ status, type } = {}) {
+        return this.store.all()
+            .filter(job => !status || job.status === status)
+            .filter(job => !type || job.type === type)
+            .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+    }
+
+    counts() {
+        const counts = Object.fromEntries(Object.values(JOB_STATUS).map(status => [status, 0]));
+        for (const job of this.store.all()) {
+            counts[job.status] = (counts[job.status] || 0) + 1;
+        }
+        return counts;
+    }
+
+    // Give a dead or completed job a fresh set of attempts
+    requeue(id) {
+        const job = this.store.get(id);
+        if (!job) {
+            return null;
+        }
+        if (job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.RUNNING) {
+            return job;
+        }
+
+        const requeued = this.store.upsert(id, {
+            status: JOB_STATUS.PENDING,
+            attempts: 0,
+            run_at: Date.now(),
+            last_error: null
+        });
+
+        this.log.info('Job requeued', { job_type: job.type, job_id: id });
+        this.schedule(0);
+        return requeued;
+    }
+
+    // Start processing jobs; context is passed to every worker
+    start(context) {
+        this.context = context;
+        this.started = true;
+        this.schedule(0);
+    }
+
+    // Stop picking up new jobs and wait for the running ones to finish
+    async stop() {
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        await Promise.allSettled(this.running.values());
+    }
+
+    // Keep working through jobs that are already due until there are none
+    // left or timeoutMs passes, then stop. Retries scheduled for later stay
+    // pending, and jobs still running at the deadline are picked up again on
+    // the next start like any job a crashed process left running.
+    async drain(timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+
+        while (this.started && (this.running.size > 0 || this.dueJobs().length > 0) && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, Math.min(50, deadline - Date.now())));
+        }
+
+        const abandoned = this.running.size;
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        return { abandoned, pending: this.counts()[JOB_STATUS.PENDING] };
+    }
+
+    // Pending jobs whose run_at has passed and that are not already running
+    dueJobs(now = Date.now()) {
+        return this.list({ status: JOB_STATUS.PENDING })
+            .filter(job => job.run_at <= now && !this.running.has(job.id))
+            .sort((a, b) => a.run_at - b.run_at);
+    }
+
+    schedule(delayMs = this.pollIntervalMs) {
+        if (!this.started) {
+            return;
+        }
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.tick(), delayMs);
+        this.timer.unref();
+    }
+
+    tick() {
+        const due = this.dueJobs();
+
+        for (const job of due.slice(0, this.concurrency - this.running.size)) {
+            const run = this.run(job).finally(() => {
+                this.running.delete(job.id);
+                this.schedule(0);
+            });
+            this.running.set(job.id, run);
+        }
+
+        this.schedule();
+    }
+
+    async run(job) {
+        const worker = this.workers.get(job.type);
+        const attempts = job.attempts + 1;
+
+        this.store.upsert(job.id, { status: JOB_STATUS.RUNNING, attempts });
+
+        try {
+            if (!worker) {
+                throw new Error(`No worker registered for job type ${job.type}`);
+            }
+
+            const result = await worker(job.data, this.context, job);
+            this.store.upsert(job.id, {
+                status: JOB_STATUS.COMPLETED,
+                completed_at: new Date().toISOString(),
+                result: result === undefined ? null : result
+            });
+        } catch (error) {
+            if (attempts >= job.max_attempts) {
+                this.store.upsert(job.id, {
+                    status: JOB_STATUS.DEAD,
+                    last_error: error.message,
+                    failed_at: new Date().toISOString()
+                });
+                this.log.error('Job dead', { job_type: job.type, job_id: job.id, attempts, error: error.message });
+                return;
+            }
+
+            const delayMs = Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+            this.store.upsert(job.id, {
+                status: JOB_STATUS.PENDING,
+                last_error: error.message,
+                run_at: Date.now() + delayMs
+            });
+            this.log.warn('Job failed', {
+                job_type: job.type,
+                job_id: job.id,
+                attempts,
+                max_attempts: job.max_attempts,
+                retry_in_ms: delayMs,
+                error: error.message
+            });
+        }
+    }
+}
+
+export default JobQueue;
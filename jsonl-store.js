@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+
+// Append-only JSON-lines file with an in-memory index keyed by one field.
+// Every write appends a full snapshot of the record, so the last line for a
+// key is its current state and the file doubles as an audit trail.
+// A readOnly store never writes, not even to compact, so another process can
+// inspect the file while the server is appending to it.
+class JsonlStore {
+    constructor(filePath, keyField, { readOnly = false } = {}) {
+        this.filePath = filePath;
+        this.keyField = keyField;
+        this.readOnly = readOnly;
+        this.records = new Map();
+        this.lineCount = 0;
+
+        this.load();
+    }
+
+    // Rebuild the index from disk
+    load() {
+        const dir = path.dirname(this.filePath);
+        if (!this.readOnly && !fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            try {
+                const record = JSON.parse(line);
+                if (record.deleted_at) {
+                    this.records.delete(record[this.keyField]);
+                } else {
+                    this.records.set(record[this.keyField], record);
+                }
+                this.lineCount++;
+            } catch (error) {
+                console.error(`Skipping unreadable line in ${this.filePath}:`, error.message);
+            }
+        }
+
+        // Superseded snapshots are only history; drop them once they dominate the file
+        if (!this.readOnly && this.lineCount > 100 && this.lineCount > this.records.size * 4) {
+            this.compact();
+        }
+    }
+
+    get(key) {
+        return this.records.get(key) || null;
+    }
+
+    all() {
+        return Array.from(this.records.values());
+    }
+
+    // Merge fields into the record for key and persist the new snapshot
+    upsert(key, fields) {
+        this.assertWritable();
+
+        const existing = this.records.get(key);
+        const now = new Date().toISOString();
+
+        const updates = {};
+        for (const [name, value] of Object.entries(fields)) {
+            if (value !== undefined) {
+                updates[name] = value;
+            }
+        }
+
+        const record = {
+            ...existing,
+            ...updates,
+            [this.keyField]: key,
+            created_at: existing?.created_at || now,
+            updated_at: now
+        };
+
+        fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+        this.records.set(key, record);
+        this.lineCount++;
+
+        return record;
+    }
+
+    // Forget the record for key; the appended tombstone is dropped on compaction
+    delete(key) {
+        this.assertWritable();
+
+        if (!this.records.has(key)) {
+            return false;
+        }
+
+        const tombstone = { [this.keyField]: key, deleted_at: new Date().toISOString() };
+        fs.appendFileSync(this.filePath, JSON.stringify(tombstone) + '\n');
+        this.records.delete(key);
+        this.lineCount++;
+
+        return true;
+    }
+
+    // Rewrite the file with only the current snapshot of each record
+    compact() {
+        this.assertWritable();
+
+        const tmpPath = `${this.filePath}.tmp`;
+        const content = this.all().map(record => JSON.stringify(record) + '\n').join('');
+
+        fs.writeFileSync(tmpPath, content);
+        fs.renameSync(tmpPath, this.filePath);
+        this.lineCount = this.records.size;
+    }
+
+    assertWritable() {
+        if (this.readOnly) {
+            throw new Error(`${this.filePath} is open read-only`);
+        }
+    }
+}
+
+export default JsonlStore;
@@ -1,26 +1,20 @@
 import dotenv from 'dotenv';
-import axios from 'axios';
+import DailyClient from './daily-client.js';
 
 // Load environment variables
 dotenv.config();
 
-// Create axios instance for Daily.co API
-const dailyApi = axios.create({
-    baseURL: 'https://api.daily.co/v1/',
-    headers: {
-        'Authorization': `Bearer ${process.env.DAILY_API_KEY}`,
-        'Content-Type': 'application/json'
-    }
-});
+// Client for the Daily.co API
+const daily = new DailyClient();
 
 async function listWebhooks() {
     try {
         console.log('Listing current webhooks...');
-        const response = await dailyApi.get('/webhooks');
-        console.log('Raw API response:', JSON.stringify(response.data, null, 2));
-        return response.data;
+        const webhooks = await daily.listWebhooks();
+        console.log('Webhooks:', JSON.stringify(webhooks, null, 2));
+        return webhooks;
     } catch (error) {
-        console.error('Error listing webhooks:', error.response?.data || error.message);
+        console.error('Error listing webhooks:', error.message);
         throw error;
     }
 }
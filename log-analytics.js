@@ -0,0 +1,275 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseFlags, parseDateFlag } from './cli-flags.js';
+import { listRotatedFiles } from './logger.js';
+import { readLogRecords } from './log-parser.js';
+
+// Recording statistics from the webhook server's events log: how many
+// recordings per room and per day, how long the ready ones were and how many
+// failed. Reads both the old text format and logger.js JSON lines, including
+// rotated files.
+
+// Load environment variables
+dotenv.config();
+
+export const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+function emptyCounts() {
+    return { recordings: 0, ready: 0, errors: 0, total_duration: 0 };
+}
+
+// Error rate and average duration once every recording has been counted
+function finishCounts(counts) {
+    const finished = counts.ready + counts.errors;
+    return {
+        ...counts,
+        average_duration: counts.ready ? Math.round(counts.total_duration / counts.ready) : 0,
+        error_rate: finished ? Math.round(counts.errors / finished * 1000) / 1000 : 0
+    };
+}
+
+// Fold one log record into the per-recording outcomes. Daily retries and
+// server restarts can log the same recording more than once, so recordings
+// are keyed by id and the last outcome wins.
+function foldRecord(recordings, record, { since, until, room }) {
+    const outcome = {
+        'Recording started': 'started',
+        'Recording ready': 'ready',
+        'Recording error': 'error'
+    }[record.msg];
+    if (!outcome) {
+        return;
+    }
+
+    const timeSecs = Date.parse(record.time) / 1000;
+    if ((since !== undefined && timeSecs < since) || (until !== undefined && timeSecs > until)) {
+        return;
+    }
+    if (room && record.room !== room) {
+        return;
+    }
+
+    const key = record.recording_id || `${record.room}@${record.time}`;
+    const existing = recordings.get(key) || { room: record.room || 'unknown', day: record.time.slice(0, 10) };
+
+    // A late recording.started must not undo a ready or failed recording
+    if (outcome !== 'started' || !existing.outcome) {
+        existing.outcome = outcome;
+    }
+    if (outcome === 'ready') {
+        existing.duration = Number(record.duration) || 0;
+    }
+    if (outcome === 'error') {
+        existing.error = record.error || record.error_msg || 'Unknown error';
+    }
+    recordings.set(key, existing);
+}
+
+// Count the per-recording outcomes by room and by UTC day
+function buildReport(recordings, { since, until }) {
+    const summary = emptyCounts();
+    const rooms = new Map();
+    const days = new Map();
+    const errors = new Map();
+
+    for (const recording of recordings.values()) {
+        const groups = [summary, getOrCreate(rooms, recording.room), getOrCreate(days, recording.day)];
+
+        for (const counts of groups) {
+            counts.recordings++;
+            if (recording.outcome === 'ready') {
+                counts.ready++;
+                counts.total_duration += recording.duration;
+            } else if (recording.outcome === 'error') {
+                counts.errors++;
+            }
+        }
+
+        if (recording.outcome === 'error') {
+            errors.set(recording.error, (errors.get(recording.error) || 0) + 1);
+        }
+    }
+
+    return {
+        period: {
+            since: since === undefined ? null : new Date(since * 1000).toISOString(),
+            until: until === undefined ? null : new Date(until * 1000).toISOString()
+        },
+        summary: finishCounts(summary),
+        rooms: [...rooms.entries()]
+            .map(([name, counts]) => ({ room: name, ...finishCounts(counts) }))
+            .sort((a, b) => b.recordings - a.recordings || a.room.localeCompare(b.room)),
+        days: [...days.entries()]
+            .map(([day, counts]) => ({ day, ...finishCounts(counts) }))
+            .sort((a, b) => a.day.localeCompare(b.day)),
+        errors: [...errors.entries()]
+            .map(([message, count]) => ({ error_msg: message, count }))
+            .sort((a, b) => b.count - a.count || a.error_msg.localeCompare(b.error_msg))
+    };
+}
+
+function getOrCreate(map, key) {
+    if (!map.has(key)) {
+        map.set(key, emptyCounts());
+    }
+    return map.get(key);
+}
+
+// Recording statistics for log records already in memory
+export function analyzeRecords(records, options = {}) {
+    const recordings = new Map();
+    for (const record of records) {
+        foldRecord(recordings, record, options);
+    }
+    return buildReport(recordings, options);
+}
+
+// Stream the given log files, oldest file first, keeping only one entry per
+// recording rather than every record
+export async function analyzeLogFiles(filePaths, options = {}) {
+    const recordings = new Map();
+    for (const filePath of filePaths) {
+        for await (const record of readLogRecords(filePath)) {
+            foldRecord(recordings, record, options);
+        }
+    }
+    return buildReport(recordings, options);
+}
+
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds % 3600 / 60);
+    const secs = seconds % 60;
+    return hours ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m ${String(secs).padStart(2, '0')}s`;
+}
+
+function formatRate(rate) {
+    return `${(rate * 100).toFixed(1)}%`;
+}
+
+function renderTable(headers, rows) {
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+    const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+    return [line(headers), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+const COUNT_HEADERS = ['Recordings', 'Ready', 'Errors', 'Error rate', 'Total duration', 'Avg duration'];
+
+function countCells(counts) {
+    return [
+        counts.recordings,
+        counts.ready,
+        counts.errors,
+        formatRate(counts.error_rate),
+        formatDuration(counts.total_duration),
+        formatDuration(counts.average_duration)
+    ];
+}
+
+export function formatTable(report, { top = 10 } = {}) {
+    const { since, until } = report.period;
+    const sections = [
+        `Recordings ${since ? `since ${since}` : 'from the start of the log'}${until ? ` until ${until}` : ''}`,
+        renderTable(COUNT_HEADERS, [countCells(report.summary)]),
+        '',
+        'By room',
+        renderTable(['Room', ...COUNT_HEADERS], report.rooms.map(row => [row.room, ...countCells(row)])),
+        '',
+        'By day (UTC)',
+        renderTable(['Day', ...COUNT_HEADERS], report.days.map(row => [row.day, ...countCells(row)]))
+    ];
+
+    if (report.errors.length > 0) {
+        sections.push('', 'Most common errors',
+            renderTable(['Count', 'Error'], report.errors.slice(0, top).map(row => [row.count, row.error_msg])));
+    }
+
+    return sections.join('\n');
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per total, room, day and error message; durations in seconds
+export function formatCsv(report) {
+    const columns = ['recordings', 'ready', 'errors', 'error_rate', 'total_duration', 'average_duration'];
+    const rows = [
+        ['scope', 'key', ...columns, 'count'],
+        ['total', '', ...columns.map(column => report.summary[column]), ''],
+        ...report.rooms.map(row => ['room', row.room, ...columns.map(column => row[column]), '']),
+        ...report.days.map(row => ['day', row.day, ...columns.map(column => row[column]), '']),
+        ...report.errors.map(row => ['error', row.error_msg, ...columns.map(() => ''), row.count])
+    ];
+    return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+// Command line interface
+async function main() {
+    const { flags, positional } = parseFlags(process.argv.slice(2), { booleans: ['help', 'last-month', 'current-only'] });
+
+    if (flags.help) {
+        console.log(`
+Webhook log analytics
+---------------------
+Usage: node log-analytics.js [FILE...] [options]
+
+Reads FILE (default LOG_FILE or ./recording_events.log) and its rotated copies.
+
+Options:
+  --since DATE        Only count entries on or after DATE (ISO date or unix seconds)
+  --until DATE        Only count entries on or before DATE
+  --last-month        The previous calendar month (UTC)
+  --room NAME         Only count one room
+  --format FORMAT     table (default), json or csv
+  --top N             Error messages to show in the table (default 10)
+  --current-only      Skip rotated log files
+        `);
+        return;
+    }
+
+    try {
+        const format = flags.format || 'table';
+        if (!OUTPUT_FORMATS.includes(format)) {
+            throw new Error(`Invalid --format ${format}: expected ${OUTPUT_FORMATS.join(', ')}`);
+        }
+
+        let since = parseDateFlag(flags.since, 'since');
+        let until = parseDateFlag(flags.until, 'until');
+        if (flags['last-month'] && (flags.since !== undefined || flags.until !== undefined)) {
+            throw new Error('--last-month cannot be combined with --since or --until');
+        }
+        if (flags['last-month']) {
+            const now = new Date();
+            since = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1) / 1000;
+            until = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1) / 1000 - 1;
+        }
+
+        const files = (positional.length > 0 ? positional : [process.env.LOG_FILE || './recording_events.log'])
+            .flatMap(file => flags['current-only'] ? [file] : [...listRotatedFiles(file), file])
+            .filter(file => fs.existsSync(file));
+        if (files.length === 0) {
+            throw new Error('No log files found');
+        }
+
+        const report = await analyzeLogFiles(files, { since, until, room: flags.room });
+
+        if (format === 'json') {
+            console.log(JSON.stringify({ files, ...report }, null, 2));
+        } else if (format === 'csv') {
+            console.log(formatCsv(report));
+        } else {
+            console.log(formatTable(report, { top: parseInt(flags.top) || 10 }));
+        }
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
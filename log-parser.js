@@ -0,0 +1,194 @@
+import fs from 'fs';
+import readline from 'readline';
+
+// Reads webhook server logs in either format: the JSON lines written by
+// logger.js, or the older text format where each entry starts with
+// "[<ISO time>] <emoji> HEADLINE" and continues with indented "Label: value"
+// lines. Old entries are converted to the records logger.js would write.
+
+const LEGACY_ENTRY_START = /^\[(\d{4}-\d{2}-\d{2}T[\d:.]+Z)\] ?(.*)$/;
+const LEGACY_DETAIL = /^\s+(?:\p{Extended_Pictographic}️?\s*)?([^:]+):\s?(.*)$/u;
+const LEADING_EMOJI = /^(?:\p{Extended_Pictographic}️?\s*)+/u;
+
+// Old headlines and the record they become. Matches in order; level and msg
+// are either fixed or worked out from the match, and fields() turns the
+// match into record fields.
+const LEGACY_MESSAGES = [
+    [/^Daily\.co Webhook Server started on port (\d+)/, 'info', 'Webhook server started', ([, port]) => ({ port: parseInt(port) })],
+    [/^Webhook server (shutting down|terminated)/, 'info', 'Shutdown started', ([, how]) => ({ reason: how === 'terminated' ? 'SIGTERM' : 'SIGINT' })],
+    [/^VERIFICATION:/, 'debug', 'Webhook verification request'],
+    [/^TEST: /, 'info', 'Test endpoint accessed'],
+    [/^WEBHOOK EVENT RECEIVED: (\S+)/, 'info', 'Webhook received', ([, type]) => ({ event_type: eventType(type) })],
+    [/^WEBHOOK: Received event type: (\S+)/, 'info', 'Unhandled event type', ([, type]) => ({ event_type: eventType(type) })],
+    [/^DUPLICATE DELIVERY: (\S+) \((.+)\)/, 'info', 'Duplicate delivery', ([, type, key]) => ({ event_type: eventType(type), dedup_key: key })],
+    [/^WEBHOOK ERROR: Invalid signature/, 'warn', 'Webhook rejected', () => ({ reason: 'invalid_signature' })],
+    [/^WEBHOOK REJECTED: (\w+)/, 'warn', 'Webhook rejected', ([, reason]) => ({ reason })],
+    [/^WEBHOOK ERROR: (.*)/, 'error', 'Webhook handling failed', ([, error]) => ({ error })],
+    [/^INVALID EVENT: Missing \w+ in (\S+) event/, 'warn', 'Invalid event: missing payload', ([, type]) => ({ event_type: eventType(type) })],
+    [/^RECORDING STARTED/, 'info', 'Recording started'],
+    [/^RECORDING STOPPED & READY/, 'info', 'Recording ready'],
+    [/^RECORDING ERROR/, 'error', 'Recording error'],
+    [/^RECORDING LINKS/, 'info', 'Recording links fetched'],
+    [/^RECORDING ARCHIVED/, 'info', 'Recording archived'],
+    [/^MEETING STARTED/, 'info', 'Meeting started'],
+    [/^MEETING ENDED/, 'info', 'Meeting ended'],
+    [/^PARTICIPANT JOINED/, 'info', 'Participant joined'],
+    [/^PARTICIPANT LEFT/, 'info', 'Participant left'],
+    [/^WAITING PARTICIPANT (\w+)/, 'info', ([, action]) => `Waiting participant ${action.toLowerCase()}`],
+    [/^TRANSCRIPT (\S+)/, actionLevel, ([, action]) => `Transcript ${action.toLowerCase()}`],
+    [/^STREAMING (\S+)/, actionLevel, ([, action]) => `Streaming ${action.toLowerCase()}`],
+    [/^JOB QUEUED: (\S+) \((.+)\)/, 'info', 'Job queued', ([, type, id]) => ({ job_type: type, job_id: id })],
+    [/^JOB REQUEUED: (\S+) \((.+)\)/, 'info', 'Job requeued', ([, type, id]) => ({ job_type: type, job_id: id })],
+    [/^JOB FAILED: (\S+) \((.+?)\) attempt (\d+)\/(\d+).*?: (.*)$/, 'warn', 'Job failed', ([, type, id, attempts, max, error]) => ({
+        job_type: type, job_id: id, attempts: parseInt(attempts), max_attempts: parseInt(max), error
+    })],
+    [/^JOB DEAD: (\S+) \((.+?)\) after (\d+) attempts: (.*)$/, 'error', 'Job dead', ([, type, id, attempts, error]) => ({
+        job_type: type, job_id: id, attempts: parseInt(attempts), error
+    })],
+    [/^WEBHOOK SECRETS RELOADED: (\d+)/, 'info', 'Webhook secrets reloaded', ([, active]) => ({ active: parseInt(active) })]
+];
+
+// Detail labels that do not become snake_case of themselves
+const LEGACY_LABELS = {
+    'Started': 'started',
+    'Start time': 'started',
+    'Download URL': 'download_url',
+    'Streaming URL': 'access_link',
+    'Error': 'error',
+    'Time in call': 'duration',
+    'SHA-256': 'sha256'
+};
+
+function actionLevel([, action]) {
+    return action === 'ERROR' ? 'error' : 'info';
+}
+
+function eventType(type) {
+    return type === 'undefined' ? null : type;
+}
+
+function toFieldName(label) {
+    return LEGACY_LABELS[label] || label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function toFieldValue(name, value) {
+    if (value === 'Not available' || value === 'Unknown' || value === 'Unknown error') {
+        return null;
+    }
+
+    // "0.08 minutes" becomes seconds, like the duration fields logger.js writes
+    const minutes = /^([\d.]+) minutes$/.exec(value);
+    if (minutes) {
+        return Math.round(parseFloat(minutes[1]) * 60);
+    }
+    if (name === 'size') {
+        return parseInt(value);
+    }
+    return value;
+}
+
+// Turn one old-format entry into a logger.js style record
+export function legacyEntryToRecord({ time, headline, details = [] }) {
+    const text = headline.replace(LEADING_EMOJI, '').trim();
+    let record = { time, level: 'info', msg: text };
+
+    for (const [pattern, level, msg, fields] of LEGACY_MESSAGES) {
+        const match = pattern.exec(text);
+        if (match) {
+            record = {
+                time,
+                level: typeof level === 'function' ? level(match) : level,
+                msg: typeof msg === 'function' ? msg(match) : msg,
+                ...(fields ? fields(match) : {})
+            };
+            break;
+        }
+    }
+
+    // The server start banner lists URLs we can work out from the port
+    if (record.msg === 'Webhook server started') {
+        return record;
+    }
+
+    for (const line of details) {
+        const detail = LEGACY_DETAIL.exec(line);
+        if (detail) {
+            const name = toFieldName(detail[1]);
+            record[name] = toFieldValue(name, detail[2].trim());
+        }
+    }
+
+    return record;
+}
+
+// Parse one JSON log line, or return null when it is not one
+export function parseJsonLine(line) {
+    if (!line.startsWith('{')) {
+        return null;
+    }
+
+    try {
+        const record = JSON.parse(line);
+        return record && typeof record.msg === 'string' ? record : null;
+    } catch {
+        return null;
+    }
+}
+
+// Line-by-line reader for either format. push(line) returns the records
+// completed by that line; an old-format entry is only complete once the next
+// entry starts, so call end() after the last line.
+function createRecordReader() {
+    let pending = null;
+
+    const finishPending = () => {
+        const finished = pending ? [legacyEntryToRecord(pending)] : [];
+        pending = null;
+        return finished;
+    };
+
+    return {
+        push(line) {
+            const record = parseJsonLine(line);
+            if (record) {
+                return [...finishPending(), record];
+            }
+
+            const start = LEGACY_ENTRY_START.exec(line);
+            if (start) {
+                const finished = finishPending();
+                pending = { time: start[1], headline: start[2], details: [] };
+                return finished;
+            }
+
+            if (pending && line.trim()) {
+                pending.details.push(line);
+            }
+            return [];
+        },
+
+        end: finishPending
+    };
+}
+
+// Parse log text in either format, or a mix of both as left behind by an
+// upgrade, into records in file order
+export function parseLogRecords(text) {
+    const reader = createRecordReader();
+    const records = text.split(/\r?\n/).flatMap(line => reader.push(line));
+    return [...records, ...reader.end()];
+}
+
+// Stream records from a log file without reading it into memory at once
+export async function* readLogRecords(filePath) {
+    const reader = createRecordReader();
+    const lines = readline.createInterface({
+        input: fs.createReadStream(filePath, 'utf8'),
+        crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+        yield* reader.push(line);
+    }
+    yield* reader.end();
+}
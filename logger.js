@@ -0,0 +1,261 @@
+import fs from 'fs';
+import path from 'path';
+
+// Leveled logger that writes one JSON object per line:
+//   {"time":"...","level":"info","msg":"Recording ready","room":"...","recording_id":"..."}
+// Writes go through a stream so logging never blocks the event loop. The file
+// is rotated by size or by day, old files beyond maxFiles are deleted, and
+// signatures, tokens and secrets are redacted before anything is written.
+//
+// Anything with debug/info/warn/error methods can stand in for a Logger, so
+// modules that accept one default to console.
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Field names whose values are never written
+const SENSITIVE_KEY = /signature|token|secret|password|authorization|api[-_]?key|hmac|cookie|credential/i;
+
+// Pre-signed URLs carry their credentials in the query string
+const SENSITIVE_QUERY_PARAM = /([?&][^=&\s]*(?:signature|token|credential)[^=&\s]*=)[^&#\s"]+/gi;
+
+// Rotated files are named <file>.<date or timestamp>
+const ROTATED_SUFFIX = /^\.\d{4}-\d{2}-\d{2}/;
+
+function today(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Rotated copies of filePath, oldest first
+export function listRotatedFiles(filePath) {
+    const dir = path.dirname(filePath);
+    const base = path.basename(filePath);
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir)
+        .filter(name => name.startsWith(base) && ROTATED_SUFFIX.test(name.slice(base.length)))
+        .sort()
+        .map(name => path.join(dir, name));
+}
+
+// Copy value with sensitive fields replaced, errors flattened and buffers
+// summarized, so it can be passed to JSON.stringify safely
+export function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return value.replace(SENSITIVE_QUERY_PARAM, `$1${REDACTED}`);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Object]';
+    }
+    if (Buffer.isBuffer(value)) {
+        return `[Buffer ${value.length} bytes]`;
+    }
+    if (value instanceof Error) {
+        return { name: value.name, message: redact(value.message), ...(value.status && { status: value.status }) };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1);
+    }
+    return copy;
+}
+
+// The log file and its rotated siblings, shared by a logger and its children
+class RotatingFile {
+    constructor(filePath, { rotate, maxBytes, maxFiles }) {
+        this.filePath = filePath;
+        this.rotate = rotate;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.stream = null;
+        this.size = 0;
+        this.day = null;
+    }
+
+    open() {
+        const dir = path.dirname(this.filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        // Pick up where an existing file left off
+        const stats = fs.existsSync(this.filePath) ? fs.statSync(this.filePath) : null;
+        this.size = stats ? stats.size : 0;
+        this.day = stats && stats.size > 0 ? today(stats.mtime) : today();
+
+        this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+        this.stream.on('error', error => {
+            console.error('Error writing to log file:', error.message);
+        });
+    }
+
+    write(line) {
+        if (!this.stream) {
+            this.open();
+        }
+
+        const bytes = Buffer.byteLength(line);
+        if (this.shouldRotate(bytes)) {
+            this.rotateNow();
+        }
+
+        this.stream.write(line);
+        this.size += bytes;
+    }
+
+    shouldRotate(bytes) {
+        if (this.size === 0) {
+            return false;
+        }
+        if (this.rotate === 'daily') {
+            return today() !== this.day;
+        }
+        if (this.rotate === 'size') {
+            return this.size + bytes > this.maxBytes;
+        }
+        return false;
+    }
+
+    // Rename the current file out of the way and start a new one. Writes
+    // still buffered in the old stream land in the renamed file.
+    rotateNow() {
+        const stamp = this.rotate === 'daily'
+            ? this.day
+            : new Date().toISOString().replace(/:/g, '-');
+
+        let rotatedPath = `${this.filePath}.${stamp}`;
+        for (let n = 1; fs.existsSync(rotatedPath); n++) {
+            rotatedPath = `${this.filePath}.${stamp}.${n}`;
+        }
+
+        this.stream.end();
+        try {
+            fs.renameSync(this.filePath, rotatedPath);
+        } catch (error) {
+            // Someone moved the file already; carry on with a fresh one
+            console.error('Error rotating log file:', error.message);
+        }
+        this.open();
+        this.prune();
+    }
+
+    // Delete the oldest rotated files beyond maxFiles
+    prune() {
+        const expired = listRotatedFiles(this.filePath).reverse().slice(this.maxFiles);
+
+        Promise.all(expired.map(filePath => fs.promises.unlink(filePath)))
+            .catch(error => {
+                console.error('Error pruning rotated log files:', error.message);
+            });
+    }
+
+    // Resolve once everything written so far has reached the file
+    flush() {
+        if (!this.stream) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.stream.write('', resolve));
+    }
+
+    close() {
+        if (!this.stream) {
+            return Promise.resolve();
+        }
+        const stream = this.stream;
+        this.stream = null;
+        return new Promise(resolve => stream.end(resolve));
+    }
+}
+
+class Logger {
+    constructor({
+        file = process.env.LOG_FILE || './recording_events.log',
+        level = process.env.LOG_LEVEL || 'info',
+        rotate = process.env.LOG_ROTATE || 'size',
+        maxBytes = parseInt(process.env.LOG_MAX_BYTES) || 10 * 1024 * 1024,
+        maxFiles = parseInt(process.env.LOG_MAX_FILES) || 7,
+        echo = (process.env.LOG_CONSOLE || 'true').toLowerCase() !== 'false',
+        bindings = {},
+        output
+    } = {}) {
+        if (!LOG_LEVELS[level]) {
+            throw new Error(`Invalid log level ${level}: expected one of ${Object.keys(LOG_LEVELS).join(', ')}`);
+        }
+        if (!['size', 'daily', 'none'].includes(rotate)) {
+            throw new Error(`Invalid LOG_ROTATE ${rotate}: expected size, daily or none`);
+        }
+
+        this.file = file;
+        this.level = level;
+        this.echo = echo;
+        this.bindings = bindings;
+        this.output = output || (file ? new RotatingFile(file, { rotate, maxBytes, maxFiles }) : null);
+
+        // Bound so they can be passed around as plain functions
+        for (const name of Object.keys(LOG_LEVELS)) {
+            this[name] = (msg, fields) => this.write(name, msg, fields);
+        }
+    }
+
+    // A logger that adds fields to every line and shares this one's file
+    child(bindings) {
+        return new Logger({
+            level: this.level,
+            echo: this.echo,
+            bindings: { ...this.bindings, ...bindings },
+            output: this.output,
+            file: this.file
+        });
+    }
+
+    isEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+    }
+
+    write(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+
+        const record = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...redact({ ...this.bindings, ...fields })
+        };
+        const line = JSON.stringify(record);
+
+        if (this.echo) {
+            (LOG_LEVELS[level] >= LOG_LEVELS.warn ? console.error : console.log)(line);
+        }
+        if (this.output) {
+            this.output.write(`${line}\n`);
+        }
+    }
+
+    flush() {
+        return this.output ? this.output.flush() : Promise.resolve();
+    }
+
+    close() {
+        return this.output ? this.output.close() : Promise.resolve();
+    }
+}
+
+export function createLogger(options) {
+    return new Logger(options);
+}
+
+export { Logger };
+export default createLogger;
@@ -0,0 +1,194 @@
+// Counters, gauges and histograms rendered in the Prometheus text exposition
+// format (version 0.0.4), enough for the webhook server's GET /metrics
+// without pulling in a client library.
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; suits both webhook handling and Daily API calls
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+// Shared by every metric type: one series per combination of label values
+class Metric {
+    constructor(type, { name, help, labelNames = [], collect }) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collect = collect;
+        this.series = new Map();
+    }
+
+    // Series key in labelNames order; unknown labels are an error in the caller
+    labelsFor(labels = {}) {
+        for (const name of Object.keys(labels)) {
+            if (!this.labelNames.includes(name)) {
+                throw new Error(`Unknown label ${name} for metric ${this.name}`);
+            }
+        }
+        return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    }
+
+    seriesFor(labels, create) {
+        const resolved = this.labelsFor(labels);
+        const key = JSON.stringify(resolved);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: resolved, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        if (this.collect) {
+            this.collect(this);
+        }
+
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        lines.push(...this.renderSeries());
+        return lines.join('\n');
+    }
+}
+
+export class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    // For counters worked out from stored state when scraped
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    get(labels = {}) {
+        return this.series.get(JSON.stringify(this.labelsFor(labels)))?.value || 0;
+    }
+
+    renderSeries() {
+        // A counter without labels is reported as 0 before its first increment
+        if (this.series.size === 0 && this.labelNames.length === 0) {
+            return [`${this.name} 0`];
+        }
+        return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+}
+
+export class Gauge extends Counter {
+    constructor(options) {
+        super(options);
+        this.type = 'gauge';
+    }
+
+    dec(labels = {}, value = 1) {
+        this.inc(labels, -value);
+    }
+}
+
+export class Histogram extends Metric {
+    constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+        super('histogram', options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const series = this.seriesFor(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Observe the seconds fn takes, whether it resolves or throws
+    async time(labels, fn) {
+        const startedAt = process.hrtime.bigint();
+        try {
+            return await fn();
+        } finally {
+            this.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        }
+    }
+
+    renderSeries() {
+        const lines = [];
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+// The set of metrics one server exposes. collect(metric) options run on every
+// render, for values read from stores rather than counted as they happen.
+export class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    get(name) {
+        return this.metrics.get(name);
+    }
+
+    render() {
+        return `${[...this.metrics.values()].map(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+export default MetricsRegistry;
@@ -0,0 +1,112 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+import { parseFlags } from './cli-flags.js';
+import { LOG_LEVELS, redact } from './logger.js';
+import { readLogRecords } from './log-parser.js';
+
+// Converts a webhook server log written before the switch to logger.js into
+// JSON lines. Lines that are already JSON pass through, so running it twice
+// or on a log that was upgraded mid-way is safe.
+
+// Load environment variables
+dotenv.config();
+
+// Write every record of inputPath at or above minLevel to output (a path, or
+// a writable stream such as process.stdout), redacted like logger.js would
+export async function migrateLog(inputPath, output, { minLevel = 'debug' } = {}) {
+    if (!LOG_LEVELS[minLevel]) {
+        throw new Error(`Invalid level ${minLevel}: expected one of ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+
+    const stream = typeof output === 'string' ? fs.createWriteStream(output) : output;
+    const stats = { written: 0, dropped: 0, levels: {} };
+
+    for await (const record of readLogRecords(inputPath)) {
+        if (LOG_LEVELS[record.level] < LOG_LEVELS[minLevel]) {
+            stats.dropped++;
+            continue;
+        }
+
+        if (!stream.write(`${JSON.stringify(redact(record))}\n`)) {
+            await once(stream, 'drain');
+        }
+        stats.written++;
+        stats.levels[record.level] = (stats.levels[record.level] || 0) + 1;
+    }
+
+    if (stream !== output) {
+        await new Promise((resolve, reject) => stream.end(error => error ? reject(error) : resolve()));
+    }
+    return stats;
+}
+
+// Replace inputPath with its migrated version, keeping the original next to it
+export async function migrateLogInPlace(inputPath, options = {}) {
+    const backupPath = `${inputPath}.legacy`;
+    if (fs.existsSync(backupPath)) {
+        throw new Error(`${backupPath} already exists; move it away or use --output`);
+    }
+
+    const tmpPath = `${inputPath}.migrating`;
+    const stats = await migrateLog(inputPath, tmpPath, options);
+
+    fs.renameSync(inputPath, backupPath);
+    fs.renameSync(tmpPath, inputPath);
+    return { ...stats, backupPath };
+}
+
+// Command line interface
+async function main() {
+    const { flags, positional } = parseFlags(process.argv.slice(2), { booleans: ['help'] });
+    const inputPath = positional[0] || process.env.LOG_FILE || './recording_events.log';
+
+    if (flags.help) {
+        console.log(`
+Webhook log migration
+---------------------
+Usage: node migrate-logs.js [FILE] [options]
+
+Converts FILE (default LOG_FILE or ./recording_events.log) from the old text
+format to JSON lines. Stop the webhook server first when migrating in place.
+
+Options:
+  --output FILE       Write the result to FILE instead of replacing FILE;
+                      "-" writes to stdout
+  --min-level LEVEL   Drop records below LEVEL (debug, info, warn, error);
+                      info drops the old verification request lines
+        `);
+        return;
+    }
+
+    try {
+        if (!fs.existsSync(inputPath)) {
+            throw new Error(`Log file not found: ${inputPath}`);
+        }
+
+        const options = { minLevel: flags['min-level'] || 'debug' };
+        let stats;
+
+        if (flags.output === '-') {
+            stats = await migrateLog(inputPath, process.stdout, options);
+        } else if (flags.output) {
+            stats = await migrateLog(inputPath, path.resolve(flags.output), options);
+            console.error(`✅ Wrote ${flags.output}`);
+        } else {
+            stats = await migrateLogInPlace(inputPath, options);
+            console.error(`✅ Migrated ${inputPath}; the original is kept as ${stats.backupPath}`);
+        }
+
+        const levels = Object.entries(stats.levels).map(([level, count]) => `${level} ${count}`).join(', ');
+        console.error(`   ${stats.written} records written (${levels || 'none'}), ${stats.dropped} dropped`);
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
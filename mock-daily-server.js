@@ -0,0 +1,563 @@
+import express from 'express';
+import axios from 'axios';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import jwt from 'jsonwebtoken';
+import { buildPayload, createEvent, getWebhookHeaders } from './webhook-events.js';
+
+// In-memory stand-in for the parts of the Daily REST API our scripts use, for
+// offline development and CI. Point the scripts at it with
+// DAILY_API_BASE_URL=http://localhost:3002/v1/
+//
+// Starting and stopping a recording fires signed recording.* webhooks at
+// every registered webhook, and everything under /__mock controls the mock:
+//   POST   /__mock/events                  { type, payload } fire any webhook event
+//   POST   /__mock/recordings/:id/error    { error_msg } fail a recording
+//   POST   /__mock/faults                  { method, path, status, error, info, count, latencyMs, retryAfter }
+//   DELETE /__mock/faults                  clear injected faults
+//   GET    /__mock/deliveries              webhook deliveries and their responses
+//   GET    /__mock/state                   rooms, recordings and webhooks
+//   POST   /__mock/reset                   forget everything
+//   GET    /__mock/downloads/:id.mp4       recording bytes (Range supported)
+
+const MAX_PAGE_SIZE = 100;
+
+function nowSecs() {
+    return Math.floor(Date.now() / 1000);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Daily's error body: { error, info }
+function sendError(res, status, error, info) {
+    res.status(status).json({ error, info });
+}
+
+// Express 4 leaves a rejected handler's request hanging; answer 500 instead
+function handleAsync(handler) {
+    return (req, res) => handler(req, res).catch(error => sendError(res, 500, 'server-error', error.message));
+}
+
+// Page through newest-first items the way Daily does: limit (max 100),
+// starting_after for older items and ending_before for newer ones
+function paginateList(items, { limit, starting_after, ending_before }) {
+    const pageSize = Math.min(parseInt(limit) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+    let page = items;
+
+    if (starting_after) {
+        const index = items.findIndex(item => item.id === starting_after);
+        page = index === -1 ? [] : items.slice(index + 1, index + 1 + pageSize);
+    } else if (ending_before) {
+        const index = items.findIndex(item => item.id === ending_before);
+        page = index === -1 ? [] : items.slice(Math.max(0, index - pageSize), index);
+    } else {
+        page = items.slice(0, pageSize);
+    }
+
+    return { total_count: items.length, data: page };
+}
+
+// Deterministic fake video bytes, so downloads can be checksummed
+function getRecordingBytes(recordingId, size) {
+    const bytes = Buffer.alloc(size);
+    let block = crypto.createHash('sha256').update(recordingId).digest();
+
+    for (let offset = 0; offset < size; offset += block.length) {
+        block.copy(bytes, offset);
+        block = crypto.createHash('sha256').update(block).digest();
+    }
+    return bytes;
+}
+
+// Build the mock. Returns the express app plus helpers for driving it from
+// tests: { app, state, fireEvent, addFault, reset }
+export function createMockDailyServer({
+    apiKey = process.env.MOCK_DAILY_API_KEY,
+    latencyMs = parseInt(process.env.MOCK_DAILY_LATENCY_MS) || 0,
+    verifyWebhookUrls = (process.env.MOCK_DAILY_VERIFY_WEBHOOKS || 'true').toLowerCase() === 'true',
+    recordingBytes = 256 * 1024,
+    log = console.log
+} = {}) {
+    const app = express();
+    app.use(express.json());
+
+    const state = {};
+
+    function reset() {
+        Object.assign(state, {
+            domain: {
+                domain_id: crypto.randomUUID(),
+                domain_name: 'mock',
+                config: {}
+            },
+            rooms: [],
+            recordings: [],
+            webhooks: [],
+            deliveries: [],
+            faults: []
+        });
+    }
+    reset();
+
+    const findRoom = name => state.rooms.find(room => room.name === name);
+    const findRecording = id => state.recordings.find(recording => recording.id === id);
+    const findWebhook = id => state.webhooks.find(webhook => webhook.uuid === id);
+
+    // Deliver an event to every active webhook subscribed to its type.
+    // Resolves with one delivery record per webhook.
+    async function fireEvent(type, payload) {
+        const event = createEvent(type, payload);
+        const body = JSON.stringify(event);
+
+        const targets = state.webhooks.filter(webhook => webhook.state === 'ACTIVE'
+            && (!webhook.eventTypes?.length || webhook.eventTypes.includes(type)));
+
+        return Promise.all(targets.map(async webhook => {
+            const delivery = { webhook_id: webhook.uuid, event_id: event.id, type, url: webhook.url };
+
+            try {
+                const response = await axios.post(webhook.url, body, {
+                    headers: getWebhookHeaders(body, webhook.hmac),
+                    timeout: 10000,
+                    validateStatus: () => true
+                });
+                delivery.status = response.status;
+            } catch (error) {
+                delivery.error = error.message;
+            }
+
+            if (!delivery.status || delivery.status >= 300) {
+                webhook.failures++;
+            }
+
+            delivery.delivered_at = new Date().toISOString();
+            state.deliveries.push(delivery);
+            log(`📤 MOCK WEBHOOK: ${type} -> ${webhook.url} (${delivery.status || delivery.error})`);
+            return delivery;
+        }));
+    }
+
+    // Make matching API calls fail and/or slow down. path is a prefix of the
+    // API path (e.g. "/recordings"); count limits how many calls it affects.
+    function addFault({ method, path: pathPrefix, status, error, info, count, latencyMs: faultLatencyMs, retryAfter } = {}) {
+        const fault = {
+            method: method?.toUpperCase(),
+            path: pathPrefix,
+            status,
+            error: error || (status === 429 ? 'rate-limit-error' : 'server-error'),
+            info: info || 'Injected by mock Daily API',
+            remaining: count ?? Infinity,
+            latencyMs: faultLatencyMs || 0,
+            retryAfter
+        };
+        state.faults.push(fault);
+        return fault;
+    }
+
+    function startRecording(room, properties = {}) {
+        const recording = {
+            id: crypto.randomUUID(),
+            room_name: room.name,
+            start_ts: nowSecs(),
+            status: 'in-progress',
+            max_participants: 0,
+            duration: 0,
+            share_token: crypto.randomBytes(9).toString('base64url'),
+            s3key: null,
+            mtgSessionId: crypto.randomUUID(),
+            tracks: [],
+            properties
+        };
+        state.recordings.unshift(recording);
+        room.activeRecordingId = recording.id;
+
+        fireEvent('recording.started', {
+            recording_id: recording.id,
+            room_name: room.name,
+            start_ts: recording.start_ts,
+            started_by: 'mock-owner',
+            layout: properties.layout || 'default'
+        });
+        return recording;
+    }
+
+    function stopRecording(room) {
+        const recording = findRecording(room.activeRecordingId);
+        if (!recording || recording.status !== 'in-progress') {
+            return null;
+        }
+
+        recording.status = 'finished';
+        recording.duration = Math.max(1, nowSecs() - recording.start_ts);
+        recording.s3key = `${state.domain.domain_name}/${room.name}/${recording.start_ts}`;
+        room.activeRecordingId = null;
+
+        fireEvent('recording.ready-to-download', {
+            type: 'cloud',
+            recording_id: recording.id,
+            room_name: room.name,
+            start_ts: recording.start_ts,
+            status: 'finished',
+            max_participants: recording.max_participants,
+            duration: recording.duration,
+            s3_key: recording.s3key
+        });
+        return recording;
+    }
+
+    function getDownloadLink(req, recording) {
+        return `${req.protocol}://${req.get('host')}/__mock/downloads/${recording.id}.mp4`;
+    }
+
+    // Mock control endpoints; never faulted or authenticated
+
+    const control = express.Router();
+
+    control.post('/events', handleAsync(async (req, res) => {
+        const { type, payload = {} } = req.body || {};
+        if (!type) {
+            return sendError(res, 400, 'invalid-request-error', 'type is required');
+        }
+        res.json({ deliveries: await fireEvent(type, payload) });
+    }));
+
+    control.post('/recordings/:id/error', handleAsync(async (req, res) => {
+        const recording = findRecording(req.params.id);
+        if (!recording) {
+            return sendError(res, 404, 'not-found', `recording ${req.params.id} not found`);
+        }
+
+        recording.status = 'error';
+        const room = findRoom(recording.room_name);
+        if (room?.activeRecordingId === recording.id) {
+            room.activeRecordingId = null;
+        }
+
+        const deliveries = await fireEvent('recording.error', buildPayload('recording.error', {
+            room: recording.room_name,
+            recordingId: recording.id,
+            ts: nowSecs(),
+            errorMsg: req.body?.error_msg
+        }));
+        res.json({ recording, deliveries });
+    }));
+
+    control.get('/faults', (req, res) => res.json(state.faults));
+    control.post('/faults', (req, res) => res.json(addFault(req.body)));
+    control.delete('/faults', (req, res) => {
+        state.faults = [];
+        res.json({ deleted: true });
+    });
+
+    control.get('/deliveries', (req, res) => res.json(state.deliveries));
+
+    control.get('/state', (req, res) => {
+        res.json({
+            domain: state.domain,
+            rooms: state.rooms,
+            recordings: state.recordings,
+            webhooks: state.webhooks
+        });
+    });
+
+    control.post('/reset', (req, res) => {
+        reset();
+        res.json({ reset: true });
+    });
+
+    control.get('/downloads/:file', (req, res) => {
+        const recording = findRecording(req.params.file.replace(/\.mp4$/, ''));
+        if (!recording || recording.status !== 'finished') {
+            return res.status(404).end();
+        }
+
+        const bytes = getRecordingBytes(recording.id, recordingBytes);
+        const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+        res.set('Accept-Ranges', 'bytes');
+        res.type('video/mp4');
+
+        if (!range) {
+            return res.send(bytes);
+        }
+
+        const start = parseInt(range[1]);
+        if (start >= bytes.length) {
+            res.set('Content-Range', `bytes */${bytes.length}`);
+            return res.status(416).end();
+        }
+        res.set('Content-Range', `bytes ${start}-${bytes.length - 1}/${bytes.length}`);
+        res.status(206).send(bytes.subarray(start));
+    });
+
+    app.use('/__mock', control);
+
+    // Daily REST API
+
+    const api = express.Router();
+
+    api.use(async (req, res, next) => {
+        const fault = state.faults.find(fault => fault.remaining > 0
+            && (!fault.method || fault.method === req.method)
+            && (!fault.path || req.path.startsWith(fault.path)));
+
+        const delayMs = latencyMs + (fault?.latencyMs || 0);
+        if (delayMs) {
+            await sleep(delayMs);
+        }
+
+        if (fault) {
+            fault.remaining--;
+            if (fault.status) {
+                if (fault.retryAfter !== undefined) {
+                    res.set('Retry-After', String(fault.retryAfter));
+                }
+                return sendError(res, fault.status, fault.error, fault.info);
+            }
+        }
+
+        const token = /^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1];
+        if (!token || (apiKey && token !== apiKey)) {
+            return sendError(res, 401, 'authentication-error', 'Invalid or missing API key');
+        }
+        next();
+    });
+
+    // Domain
+
+    api.get('/', (req, res) => res.json(state.domain));
+
+    api.post('/', (req, res) => {
+        Object.assign(state.domain.config, req.body?.properties || {});
+        res.json(state.domain);
+    });
+
+    // Rooms
+
+    api.get('/rooms', (req, res) => res.json(paginateList(state.rooms, req.query)));
+
+    api.post('/rooms', (req, res) => {
+        const name = req.body?.name || crypto.randomBytes(10).toString('base64url');
+        if (findRoom(name)) {
+            return sendError(res, 400, 'invalid-request-error', `a room named ${name} already exists`);
+        }
+
+        const room = {
+            id: crypto.randomUUID(),
+            name,
+            api_created: true,
+            privacy: req.body?.privacy || 'public',
+            url: `https://${state.domain.domain_name}.daily.co/${name}`,
+            created_at: new Date().toISOString(),
+            config: req.body?.properties || {}
+        };
+        state.rooms.unshift(room);
+        res.json(room);
+    });
+
+    api.get('/rooms/:name', (req, res) => {
+        const room = findRoom(req.params.name);
+        if (!room) {
+            return sendError(res, 404, 'not-found', `room ${req.params.name} not found`);
+        }
+        res.json(room);
+    });
+
+    api.post('/rooms/:name', (req, res) => {
+        const room = findRoom(req.params.name);
+        if (!room) {
+            return sendError(res, 404, 'not-found', `room ${req.params.name} not found`);
+        }
+        Object.assign(room.config, req.body?.properties || {});
+        if (req.body?.privacy) {
+            room.privacy = req.body.privacy;
+        }
+        res.json(room);
+    });
+
+    api.delete('/rooms/:name', (req, res) => {
+        const room = findRoom(req.params.name);
+        if (!room) {
+            return sendError(res, 404, 'not-found', `room ${req.params.name} not found`);
+        }
+        state.rooms = state.rooms.filter(other => other !== room);
+        res.json({ deleted: true, name: room.name });
+    });
+
+    // Recordings
+
+    api.post('/rooms/:name/recordings', (req, res) => {
+        const room = findRoom(req.params.name);
+        if (!room) {
+            return sendError(res, 404, 'not-found', `room ${req.params.name} not found`);
+        }
+        if (room.activeRecordingId) {
+            return sendError(res, 400, 'invalid-request-error', 'a recording is already in progress');
+        }
+        res.json(startRecording(room, req.body?.properties));
+    });
+
+    // Daily stops recordings with POST .../recordings/stop; daily-test.js
+    // uses PATCH with { properties: { stop: true } }
+    const stopHandler = (req, res) => {
+        const room = findRoom(req.params.name);
+        if (!room) {
+            return sendError(res, 404, 'not-found', `room ${req.params.name} not found`);
+        }
+        const recording = stopRecording(room);
+        if (!recording) {
+            return sendError(res, 400, 'invalid-request-error', 'no recording in progress');
+        }
+        res.json(recording);
+    };
+    api.post('/rooms/:name/recordings/stop', stopHandler);
+    api.patch('/rooms/:name/recordings', stopHandler);
+
+    api.get('/recordings', (req, res) => {
+        const recordings = state.recordings
+            .filter(recording => !req.query.room_name || recording.room_name === req.query.room_name);
+        res.json(paginateList(recordings, req.query));
+    });
+
+    api.get('/recordings/:id', (req, res) => {
+        const recording = findRecording(req.params.id);
+        if (!recording) {
+            return sendError(res, 404, 'not-found', `recording ${req.params.id} not found`);
+        }
+        res.json({
+            ...recording,
+            download_link: recording.status === 'finished' ? getDownloadLink(req, recording) : null
+        });
+    });
+
+    api.get('/recordings/:id/access-link', (req, res) => {
+        const recording = findRecording(req.params.id);
+        if (!recording) {
+            return sendError(res, 404, 'not-found', `recording ${req.params.id} not found`);
+        }
+        if (recording.status !== 'finished') {
+            return sendError(res, 400, 'invalid-request-error', `recording ${recording.id} is ${recording.status}`);
+        }
+        res.json({
+            download_link: getDownloadLink(req, recording),
+            expires: nowSecs() + (parseInt(req.query.valid_for_secs) || 3600)
+        });
+    });
+
+    api.delete('/recordings/:id', (req, res) => {
+        const recording = findRecording(req.params.id);
+        if (!recording) {
+            return sendError(res, 404, 'not-found', `recording ${req.params.id} not found`);
+        }
+        state.recordings = state.recordings.filter(other => other !== recording);
+        res.json({ deleted: true, id: recording.id });
+    });
+
+    // Meeting tokens
+
+    api.post('/meeting-tokens', (req, res) => {
+        const properties = req.body?.properties || {};
+        const token = jwt.sign({ ...properties, d: state.domain.domain_id }, apiKey || 'mock-daily');
+        res.json({ token });
+    });
+
+    // Webhooks
+
+    // Like Daily, refuse webhook URLs that do not answer with a 200
+    async function checkWebhookUrl(url) {
+        if (!verifyWebhookUrls) {
+            return true;
+        }
+        try {
+            const response = await axios.get(url, { timeout: 5000, validateStatus: () => true });
+            return response.status === 200;
+        } catch {
+            return false;
+        }
+    }
+
+    api.get('/webhooks', (req, res) => res.json({ total_count: state.webhooks.length, data: state.webhooks }));
+
+    api.post('/webhooks', handleAsync(async (req, res) => {
+        const { url, eventTypes = [], hmac } = req.body || {};
+        if (!url) {
+            return sendError(res, 400, 'invalid-request-error', 'url is required');
+        }
+        if (!await checkWebhookUrl(url)) {
+            return sendError(res, 400, 'invalid-request-error', 'non-200 status code returned from webhook endpoint');
+        }
+
+        const id = crypto.randomUUID();
+        const webhook = {
+            id,
+            uuid: id,
+            url,
+            hmac: hmac || crypto.randomBytes(32).toString('base64'),
+            eventTypes,
+            state: 'ACTIVE',
+            failures: 0,
+            created_at: new Date().toISOString()
+        };
+        state.webhooks.push(webhook);
+        res.json(webhook);
+    }));
+
+    api.get('/webhooks/:id', (req, res) => {
+        const webhook = findWebhook(req.params.id);
+        if (!webhook) {
+            return sendError(res, 404, 'not-found', `webhook ${req.params.id} not found`);
+        }
+        res.json(webhook);
+    });
+
+    api.post('/webhooks/:id', handleAsync(async (req, res) => {
+        const webhook = findWebhook(req.params.id);
+        if (!webhook) {
+            return sendError(res, 404, 'not-found', `webhook ${req.params.id} not found`);
+        }
+        if (req.body?.url && req.body.url !== webhook.url && !await checkWebhookUrl(req.body.url)) {
+            return sendError(res, 400, 'invalid-request-error', 'non-200 status code returned from webhook endpoint');
+        }
+
+        for (const field of ['url', 'eventTypes', 'hmac']) {
+            if (req.body?.[field] !== undefined) {
+                webhook[field] = req.body[field];
+            }
+        }
+        webhook.state = 'ACTIVE';
+        webhook.failures = 0;
+        res.json(webhook);
+    }));
+
+    api.delete('/webhooks/:id', (req, res) => {
+        const webhook = findWebhook(req.params.id);
+        if (!webhook) {
+            return sendError(res, 404, 'not-found', `webhook ${req.params.id} not found`);
+        }
+        state.webhooks = state.webhooks.filter(other => other !== webhook);
+        res.json({ deleted: true, uuid: webhook.uuid });
+    });
+
+    api.use((req, res) => sendError(res, 404, 'not-found', `${req.method} ${req.path} is not mocked`));
+
+    app.use('/v1', api);
+
+    return { app, state, fireEvent, addFault, reset };
+}
+
+// Run standalone: node mock-daily-server.js
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    dotenv.config();
+
+    const port = process.env.MOCK_DAILY_PORT || 3002;
+    const { app } = createMockDailyServer();
+
+    app.listen(port, () => {
+        console.log(`🧪 Mock Daily API listening on port ${port}
+    Point the scripts at it: DAILY_API_BASE_URL=http://localhost:${port}/v1/
+    Control endpoints: http://localhost:${port}/__mock/state`);
+    });
+}
@@ -0,0 +1,293 @@
+import fs from 'fs';
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import { getWebhookHeaders } from './webhook-events.js';
+import { matchesEventType } from './webhook-dispatcher.js';
+
+// Tells people about recordings instead of leaving it to the log. Channels
+// are outbound HTTP webhooks signed with our own secret (the same scheme
+// Daily uses for us), Slack-compatible incoming webhooks and SMTP email.
+// Routes pick the channels for each event type. Configured in
+// NOTIFY_CONFIG_FILE (./notifications.json):
+//   {
+//     "channels": {
+//       "ops": { "type": "slack", "url": "https://hooks.slack.com/services/..." },
+//       "recruiting": { "type": "email", "to": ["recruiting@example.com"] },
+//       "ats": { "type": "webhook", "url": "https://ats.example.com/daily", "secret": "..." }
+//     },
+//     "routes": [
+//       { "events": ["recording.error"], "channels": ["ops", "recruiting"] },
+//       { "events": ["recording.*"], "channels": ["ats"] }
+//     ],
+//     "templates": {
+//       "recording.error": { "subject": "Interview recording failed: {{room}}", "text": "..." }
+//     }
+//   }
+// Without a file, NOTIFY_WEBHOOK_URL, NOTIFY_SLACK_WEBHOOK_URL and
+// NOTIFY_EMAIL_TO each add a channel for the NOTIFY_EVENTS event types.
+
+export const CHANNEL_TYPES = ['webhook', 'slack', 'email'];
+
+const DEFAULT_EVENTS = 'recording.ready-to-download,recording.error';
+
+// {{name}} placeholders: room, recording_id, event_type, duration,
+// duration_secs, started_at, access_link, error
+export const DEFAULT_TEMPLATES = {
+    'recording.started': {
+        subject: 'Recording started: {{room}}',
+        text: 'Recording {{recording_id}} started in {{room}} at {{started_at}}.'
+    },
+    'recording.ready-to-download': {
+        subject: 'Recording ready: {{room}} ({{duration}})',
+        text: 'The recording of {{room}} is ready.\nDuration: {{duration}}\nRecording ID: {{recording_id}}\nAccess link: {{access_link}}'
+    },
+    'recording.error': {
+        subject: 'Recording failed: {{room}}',
+        text: 'The recording of {{room}} failed: {{error}}\nRecording ID: {{recording_id}}\nStarted: {{started_at}}'
+    },
+    default: {
+        subject: '{{event_type}}: {{room}}',
+        text: '{{event_type}} for recording {{recording_id}} in {{room}}.'
+    }
+};
+
+function formatDuration(seconds) {
+    if (!Number.isFinite(seconds)) {
+        return 'unknown';
+    }
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds % 3600 / 60);
+    const secs = Math.round(seconds % 60);
+    return hours ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m ${String(secs).padStart(2, '0')}s`;
+}
+
+// Slack reads &, < and > as markup, so payload values must not carry them raw
+function escapeSlack(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Template values for a recording event payload, plus the access link
+// fetched when the notification is sent
+export function templateValues(eventType, recording) {
+    const duration = recording.duration === undefined ? undefined : Number(recording.duration);
+    return {
+        event_type: eventType,
+        room: recording.room_name || recording.room || 'unknown room',
+        recording_id: recording.recording_id || 'unknown',
+        duration: formatDuration(duration),
+        duration_secs: Number.isFinite(duration) ? String(duration) : 'unknown',
+        started_at: recording.start_ts ? new Date(recording.start_ts * 1000).toISOString() : 'unknown',
+        access_link: recording.access_link || 'not available',
+        error: recording.error_msg || 'Unknown error'
+    };
+}
+
+export function renderTemplate(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => values[name] ?? placeholder);
+}
+
+// Channels and routes from NOTIFY_* variables, for setups without a config file
+function configFromEnv(env) {
+    const channels = {};
+    if (env.NOTIFY_WEBHOOK_URL) {
+        channels.webhook = { type: 'webhook', url: env.NOTIFY_WEBHOOK_URL, secret: env.NOTIFY_WEBHOOK_SECRET };
+    }
+    if (env.NOTIFY_SLACK_WEBHOOK_URL) {
+        channels.slack = { type: 'slack', url: env.NOTIFY_SLACK_WEBHOOK_URL };
+    }
+    if (env.NOTIFY_EMAIL_TO) {
+        channels.email = { type: 'email', to: env.NOTIFY_EMAIL_TO.split(',').map(address => address.trim()) };
+    }
+
+    const events = (env.NOTIFY_EVENTS || DEFAULT_EVENTS).split(',').map(type => type.trim()).filter(Boolean);
+    const names = Object.keys(channels);
+    return { channels, routes: names.length > 0 ? [{ events, channels: names }] : [] };
+}
+
+// SMTP settings shared by email channels that do not bring their own
+function smtpFromEnv(env) {
+    return {
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: (env.SMTP_SECURE || '').toLowerCase() === 'true',
+        ...(env.SMTP_USER && { auth: { user: env.SMTP_USER, pass: env.SMTP_PASS } })
+    };
+}
+
+// nodemailer needs a host unless it only renders messages (used by tests)
+function hasSmtpTransport(smtp) {
+    return Boolean(smtp?.host || smtp?.jsonTransport || smtp?.streamTransport);
+}
+
+class Notifier {
+    constructor({
+        configFile = process.env.NOTIFY_CONFIG_FILE || './notifications.json',
+        config,
+        smtp = smtpFromEnv(process.env),
+        emailFrom = process.env.NOTIFY_EMAIL_FROM || 'Daily recordings <recordings@localhost>',
+        linkValidForSecs = parseInt(process.env.NOTIFY_LINK_VALID_SECS) || 12 * 60 * 60,
+        timeoutMs = 10000,
+        log = console
+    } = {}) {
+        if (!config) {
+            config = fs.existsSync(configFile)
+                ? JSON.parse(fs.readFileSync(configFile, 'utf8'))
+                : configFromEnv(process.env);
+        }
+
+        this.channels = config.channels || {};
+        this.routes = config.routes || [];
+        this.templates = { ...DEFAULT_TEMPLATES, ...config.templates };
+        this.smtp = smtp;
+        this.emailFrom = emailFrom;
+        this.linkValidForSecs = linkValidForSecs;
+        this.timeoutMs = timeoutMs;
+        this.log = log;
+        this.transports = new Map();
+
+        this.validate();
+    }
+
+    // Fail at startup rather than when the first recording fails
+    validate() {
+        for (const [name, channel] of Object.entries(this.channels)) {
+            if (!CHANNEL_TYPES.includes(channel.type)) {
+                throw new Error(`Notification channel ${name} has unknown type ${channel.type}: expected ${CHANNEL_TYPES.join(', ')}`);
+            }
+            if (channel.type !== 'email' && !channel.url) {
+                throw new Error(`Notification channel ${name} needs a url`);
+            }
+            if (channel.type === 'webhook' && !channel.secret) {
+                throw new Error(`Notification channel ${name} needs a secret to sign its deliveries`);
+            }
+            if (channel.type === 'email' && !(channel.to?.length)) {
+                throw new Error(`Notification channel ${name} needs a to address`);
+            }
+            if (channel.type === 'email' && !hasSmtpTransport(channel.smtp || this.smtp)) {
+                throw new Error(`Notification channel ${name} needs SMTP_HOST or its own smtp settings`);
+            }
+        }
+
+        for (const route of this.routes) {
+            for (const name of route.channels || []) {
+                if (!this.channels[name]) {
+                    throw new Error(`Notification route for ${(route.events || []).join(', ')} uses unknown channel ${name}`);
+                }
+            }
+        }
+    }
+
+    get enabled() {
+        return this.routes.length > 0;
+    }
+
+    // Names of the channels routed for eventType, each once
+    channelsFor(eventType) {
+        const names = new Set();
+        for (const route of this.routes) {
+            if ((route.events || []).some(pattern => matchesEventType(pattern, eventType))) {
+                (route.channels || []).forEach(name => names.add(name));
+            }
+        }
+        return [...names];
+    }
+
+    // escape is applied to the payload values, not to the template itself
+    render(eventType, recording, escape = value => value) {
+        const template = this.templates[eventType] || this.templates.default;
+        const values = Object.fromEntries(Object.entries(templateValues(eventType, recording))
+            .map(([name, value]) => [name, escape(value)]));
+        return {
+            subject: renderTemplate(template.subject, values),
+            text: renderTemplate(template.text, values)
+        };
+    }
+
+    // Send one notification; throws if the channel is unknown or delivery fails
+    async send(channelName, eventType, recording) {
+        const channel = this.channels[channelName];
+        if (!channel) {
+            throw new Error(`Unknown notification channel ${channelName}`);
+        }
+
+        const message = this.render(eventType, recording);
+        const result = await {
+            webhook: () => this.sendWebhook(channel, eventType, recording, message),
+            slack: () => this.sendSlack(channel, this.render(eventType, recording, escapeSlack)),
+            email: () => this.sendEmail(channel, message)
+        }[channel.type]();
+
+        this.log.info('Notification sent', {
+            channel: channelName,
+            channel_type: channel.type,
+            event_type: eventType,
+            room: recording.room_name || recording.room,
+            recording_id: recording.recording_id
+        });
+        return result;
+    }
+
+    // Signed like Daily signs its deliveries, so receivers can reuse
+    // verifyWebhookSignature from webhook-server.js
+    async sendWebhook(channel, eventType, recording, { subject, text }) {
+        const body = JSON.stringify({
+            type: 'notification',
+            event_type: eventType,
+            subject,
+            text,
+            recording: {
+                room: recording.room_name || recording.room || null,
+                recording_id: recording.recording_id || null,
+                duration: recording.duration ?? null,
+                start_ts: recording.start_ts ?? null,
+                access_link: recording.access_link || null,
+                error: recording.error_msg || null
+            },
+            sent_at: new Date().toISOString()
+        });
+
+        const response = await axios.post(channel.url, body, {
+            headers: getWebhookHeaders(body, channel.secret),
+            timeout: this.timeoutMs
+        });
+        return { status: response.status };
+    }
+
+    // Incoming-webhook payload understood by Slack, Mattermost and Rocket.Chat
+    async sendSlack(channel, { subject, text }) {
+        const response = await axios.post(channel.url, { text: `*${subject}*\n${text}` }, { timeout: this.timeoutMs });
+        return { status: response.status };
+    }
+
+    async sendEmail(channel, { subject, text }) {
+        const info = await this.transportFor(channel).sendMail({
+            from: channel.from || this.emailFrom,
+            to: channel.to,
+            subject,
+            text
+        });
+        return { message_id: info.messageId, ...(info.message && { message: info.message }) };
+    }
+
+    // One nodemailer transport per channel, reusing its SMTP connections
+    transportFor(channel) {
+        if (!this.transports.has(channel)) {
+            const smtp = channel.smtp || this.smtp;
+            if (!hasSmtpTransport(smtp)) {
+                throw new Error('SMTP_HOST is not set');
+            }
+            this.transports.set(channel, nodemailer.createTransport(smtp));
+        }
+        return this.transports.get(channel);
+    }
+
+    close() {
+        for (const transport of this.transports.values()) {
+            transport.close();
+        }
+        this.transports.clear();
+    }
+}
+
+export { Notifier };
+export default Notifier;
@@ -0,0 +1,157 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { downloadToFile, hashFile } from './recording-download.js';
+
+// Keep letters, digits, _ and - so names cannot leave their directory
+function safeName(value) {
+    return String(value).replace(/[^\w-]/g, '_');
+}
+
+// Copies finished recordings somewhere that outlives Daily's expiring links:
+// a local directory or any S3-compatible bucket (AWS S3, MinIO, ...).
+// Archiving is off unless ARCHIVE_DESTINATION is "local" or "s3".
+class RecordingArchiver {
+    constructor({
+        destination = process.env.ARCHIVE_DESTINATION,
+        directory = process.env.ARCHIVE_DIR || './archive',
+        stagingDir = process.env.ARCHIVE_STAGING_DIR || path.join(os.tmpdir(), 'daily-recording-archive'),
+        s3 = {
+            bucket: process.env.ARCHIVE_S3_BUCKET,
+            prefix: process.env.ARCHIVE_S3_PREFIX || '',
+            region: process.env.ARCHIVE_S3_REGION || 'us-east-1',
+            endpoint: process.env.ARCHIVE_S3_ENDPOINT,
+            accessKeyId: process.env.ARCHIVE_S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.ARCHIVE_S3_SECRET_ACCESS_KEY
+        }
+    } = {}) {
+        this.destination = destination ? destination.toLowerCase() : null;
+        this.directory = directory;
+        this.stagingDir = stagingDir;
+        this.s3 = s3;
+        this.s3Client = null;
+
+        if (this.destination && !['local', 's3'].includes(this.destination)) {
+            throw new Error(`Unknown ARCHIVE_DESTINATION: ${destination} (expected "local" or "s3")`);
+        }
+        if (this.destination === 's3' && !s3.bucket) {
+            throw new Error('ARCHIVE_S3_BUCKET is required when ARCHIVE_DESTINATION is "s3"');
+        }
+    }
+
+    get enabled() {
+        return Boolean(this.destination);
+    }
+
+    // Where a recording lives inside the archive: <room>/<recording_id>.mp4,
+    // with both names made safe the way getRecordingFilename does
+    getObjectKey({ room_name, recording_id }) {
+        return `${safeName(room_name || 'unknown-room')}/${safeName(recording_id)}.mp4`;
+    }
+
+    // Download a recording from url and store it at the configured destination.
+    // Resolves with the archive record once the copy has been verified.
+    async archive(recording, url) {
+        if (!recording.recording_id) {
+            throw new Error('Cannot archive a recording without a recording_id');
+        }
+        const key = this.getObjectKey(recording);
+
+        // Named after the recording alone, so a retried job resumes the
+        // partial download an earlier attempt left behind
+        const stagedPath = path.join(this.stagingDir, `${safeName(recording.recording_id)}.mp4`);
+
+        try {
+            const staged = await downloadToFile(url, stagedPath);
+
+            const location = this.destination === 's3'
+                ? await this.storeInS3(staged, key, recording)
+                : await this.storeLocally(staged, key);
+
+            return {
+                location,
+                size: staged.size,
+                sha256: staged.sha256,
+                archived_at: new Date().toISOString()
+            };
+        } finally {
+            fs.rmSync(stagedPath, { force: true });
+        }
+    }
+
+    async storeLocally(staged, key) {
+        const root = path.resolve(this.directory);
+        const destPath = path.resolve(root, key);
+        if (!destPath.startsWith(`${root}${path.sep}`)) {
+            throw new Error(`Archive key ${key} resolves outside ${root}`);
+        }
+        const partPath = `${destPath}.part`;
+
+        fs.mkdirSync(path.dirname(destPath), { recursive: true });
+
+        // Copy then rename so a half-written file never sits at the final path
+        await fs.promises.copyFile(staged.filePath, partPath);
+
+        const { size } = await fs.promises.stat(partPath);
+        const sha256 = await hashFile(partPath);
+        if (size !== staged.size || sha256 !== staged.sha256) {
+            fs.rmSync(partPath, { force: true });
+            throw new Error(`Archive verification failed for ${destPath}: size or checksum mismatch`);
+        }
+
+        await fs.promises.rename(partPath, destPath);
+        return `file://${destPath}`;
+    }
+
+    async getS3Client() {
+        if (!this.s3Client) {
+            // Loaded on demand so local archiving does not pay for the SDK
+            const { S3Client } = await import('@aws-sdk/client-s3');
+
+            this.s3Client = new S3Client({
+                region: this.s3.region,
+                endpoint: this.s3.endpoint,
+                // Custom endpoints (MinIO and friends) generally need path-style URLs
+                forcePathStyle: Boolean(this.s3.endpoint),
+                // Only send checksums S3-compatible servers are guaranteed to support
+                requestChecksumCalculation: 'WHEN_REQUIRED',
+                credentials: this.s3.accessKeyId
+                    ? { accessKeyId: this.s3.accessKeyId, secretAccessKey: this.s3.secretAccessKey }
+                    : undefined
+            });
+        }
+        return this.s3Client;
+    }
+
+    async storeInS3(staged, key, recording) {
+        const { PutObjectCommand, HeadObjectCommand } = await import('@aws-sdk/client-s3');
+        const client = await this.getS3Client();
+        const objectKey = `${this.s3.prefix}${key}`;
+
+        // Content-MD5 makes the server reject a corrupted upload outright
+        await client.send(new PutObjectCommand({
+            Bucket: this.s3.bucket,
+            Key: objectKey,
+            Body: fs.createReadStream(staged.filePath),
+            ContentLength: staged.size,
+            ContentMD5: staged.md5,
+            ContentType: 'video/mp4',
+            Metadata: {
+                sha256: staged.sha256,
+                'recording-id': recording.recording_id
+            }
+        }));
+
+        const head = await client.send(new HeadObjectCommand({
+            Bucket: this.s3.bucket,
+            Key: objectKey
+        }));
+        if (head.ContentLength !== staged.size || head.Metadata?.sha256 !== staged.sha256) {
+            throw new Error(`Archive verification failed for s3://${this.s3.bucket}/${objectKey}: size or checksum mismatch`);
+        }
+
+        return `s3://${this.s3.bucket}/${objectKey}`;
+    }
+}
+
+export default RecordingArchiver;
@@ -0,0 +1,145 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// Deterministic file name for a Daily recording object, so reruns can tell
+// which recordings are already on disk: <room>_<recording id>_<start time>.mp4
+export function getRecordingFilename(recording) {
+    const room = (recording.room_name || 'unknown-room').replace(/[^\w-]/g, '_');
+    const recordingId = recording.id || recording.recording_id;
+    const startTime = recording.start_ts
+        ? new Date(recording.start_ts * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/:/g, '-')
+        : 'unknown-start';
+
+    return `${room}_${recordingId}_${startTime}.mp4`;
+}
+
+function parseContentRange(header) {
+    const match = /bytes (?:\d+-\d+|\*)\/(\d+)/.exec(header || '');
+    return match ? parseInt(match[1]) : undefined;
+}
+
+// Fetch into partPath, continuing from whatever is already there when the
+// server honours Range requests
+async function fetchIntoPartFile(url, partPath, onProgress) {
+    const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+    const response = await axios({
+        method: 'GET',
+        url,
+        responseType: 'stream',
+        headers: offset ? { Range: `bytes=${offset}-` } : {},
+        validateStatus: status => status === 200 || status === 206 || status === 416
+    });
+
+    if (response.status === 416) {
+        response.data.destroy();
+
+        // Nothing left to fetch means the previous attempt got every byte
+        if (parseContentRange(response.headers['content-range']) === offset) {
+            return;
+        }
+        fs.rmSync(partPath, { force: true });
+        throw new Error('Server rejected resume range; restarting download');
+    }
+
+    // A 200 means the server ignored the Range header and sent everything
+    const resuming = response.status === 206;
+    const total = resuming
+        ? parseContentRange(response.headers['content-range'])
+        : parseInt(response.headers['content-length']) || undefined;
+    let received = resuming ? offset : 0;
+
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (onProgress) {
+                onProgress({ received, total });
+            }
+            callback(null, chunk);
+        }
+    });
+
+    await pipeline(response.data, counter, fs.createWriteStream(partPath, { flags: resuming ? 'a' : 'w' }));
+
+    // More bytes than announced means the file on disk cannot be trusted;
+    // fewer means the connection dropped and the next attempt can resume
+    if (total !== undefined && received > total) {
+        fs.rmSync(partPath, { force: true });
+        throw new Error(`Download size mismatch: received ${received} of ${total} bytes`);
+    }
+    if (total !== undefined && received < total) {
+        throw new Error(`Incomplete download: received ${received} of ${total} bytes`);
+    }
+}
+
+async function hashFileDigests(filePath) {
+    const sha256 = crypto.createHash('sha256');
+    const md5 = crypto.createHash('md5');
+    let size = 0;
+
+    for await (const chunk of fs.createReadStream(filePath)) {
+        size += chunk.length;
+        sha256.update(chunk);
+        md5.update(chunk);
+    }
+
+    return { size, sha256: sha256.digest('hex'), md5: md5.digest('base64') };
+}
+
+// Download to a temporary .part file, resuming with HTTP Range and retrying
+// with exponential backoff when the connection drops. The file only appears
+// at filePath once every byte announced by the server has arrived; when the
+// retries run out the .part file stays so the next call resumes from it.
+// source is a URL, or an async function returning one so expiring links can
+// be refreshed between attempts. onProgress gets { received, total } as
+// bytes arrive and { attempt, delayMs, error } before each retry.
+export async function downloadToFile(source, filePath, { retries = 3, retryDelayMs = 2000, onProgress } = {}) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const partPath = `${filePath}.part`;
+    let lastError;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) {
+            const delayMs = retryDelayMs * 2 ** (attempt - 1);
+            if (onProgress) {
+                onProgress({ attempt, delayMs, error: lastError });
+            }
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+
+        try {
+            const url = typeof source === 'function' ? await source() : source;
+            if (!url) {
+                throw new Error('Download URL not available');
+            }
+
+            await fetchIntoPartFile(url, partPath, onProgress);
+
+            const digests = await hashFileDigests(partPath);
+            fs.renameSync(partPath, filePath);
+
+            return { filePath, ...digests };
+        } catch (error) {
+            lastError = error;
+        }
+    }
+
+    throw lastError;
+}
+
+// Hash a file already on disk, used to verify copies
+export async function hashFile(filePath, algorithm = 'sha256') {
+    const hash = crypto.createHash(algorithm);
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
@@ -0,0 +1,92 @@
+// Handlers for Daily.co recording.* webhook events. Each handler receives the
+// parsed event and the server's handler context:
+//   { log, recordingStore, sessionStore, jobQueue, archiver, notifier,
+//     daily: { getRecordingDownloadUrl, getRecordingAccessLink } }
+// where log is a logger with debug/info/warn/error(msg, fields).
+
+// Log and skip events that arrive without a payload
+export function hasPayload(event, context) {
+    if (!event || !event.payload) {
+        context.log.warn('Invalid event: missing payload', { event_type: event?.type, event_id: event?.id, event });
+        return false;
+    }
+    return true;
+}
+
+// Queue a recording.notify job for each channel the notifier routes this
+// event type to, so a slow or failing channel is retried on its own
+export function queueNotifications(event, context) {
+    for (const channel of context.notifier?.channelsFor(event.type) || []) {
+        context.jobQueue.enqueue('recording.notify', { ...event.payload, channel, event_type: event.type });
+    }
+}
+
+// Handle recording started event
+export function handleRecordingStarted(event, context) {
+    if (!hasPayload(event, context)) {
+        return;
+    }
+
+    const { room_name, recording_id, started_by, start_ts } = event.payload;
+
+    context.recordingStore.recordStarted(event.payload);
+    context.log.info('Recording started', {
+        room: room_name,
+        recording_id,
+        started_by: started_by || null,
+        start_ts
+    });
+
+    queueNotifications(event, context);
+}
+
+// Handle recording ready event. Fetching links and other follow-up work runs
+// on the job queue so Daily gets its 200 without waiting on our API calls.
+export function handleRecordingReady(event, context) {
+    if (!hasPayload(event, context)) {
+        return;
+    }
+
+    const { room_name, recording_id, duration, start_ts, s3_key } = event.payload;
+
+    context.recordingStore.recordReady(event.payload);
+    context.log.info('Recording ready', {
+        room: room_name,
+        recording_id,
+        duration,
+        start_ts,
+        s3_key: s3_key || null
+    });
+
+    context.jobQueue.enqueue('recording.fetch-links', event.payload);
+
+    if (context.archiver?.enabled) {
+        context.jobQueue.enqueue('recording.archive', event.payload);
+    }
+
+    queueNotifications(event, context);
+}
+
+// Handle recording error event
+export function handleRecordingError(event, context) {
+    if (!hasPayload(event, context)) {
+        return;
+    }
+
+    const { room_name, recording_id, error_msg } = event.payload;
+
+    context.recordingStore.recordError(event.payload);
+    context.log.error('Recording error', {
+        room: room_name,
+        recording_id,
+        error: error_msg || 'Unknown error'
+    });
+
+    queueNotifications(event, context);
+}
+
+export default {
+    'recording.started': handleRecordingStarted,
+    'recording.ready-to-download': handleRecordingReady,
+    'recording.error': handleRecordingError
+};
@@ -0,0 +1,75 @@
+// Background work for recordings, run by the job queue. Workers receive the
+// job data and the server's handler context; throwing schedules a retry.
+
+// Fetch the download and streaming links for a recording that is ready
+export async function fetchRecordingLinks(payload, context) {
+    const { room_name, recording_id } = payload;
+
+    // Try to get download URL
+    const downloadUrl = await context.daily.getRecordingDownloadUrl(recording_id);
+
+    // Try to get access link (streaming URL)
+    const accessLink = await context.daily.getRecordingAccessLink(recording_id);
+
+    context.log.info('Recording links fetched', {
+        room: room_name,
+        recording_id,
+        download_url: downloadUrl,
+        access_link: accessLink
+    });
+
+    return { download_url: downloadUrl, access_link: accessLink };
+}
+
+// Copy a ready recording to the archive before Daily's links expire
+export async function archiveRecording(payload, context) {
+    const { room_name, recording_id } = payload;
+
+    const existing = context.recordingStore.get(recording_id);
+    if (existing?.archive) {
+        return existing.archive;
+    }
+
+    // Links expire, so every attempt asks Daily for a fresh one
+    const url = await context.daily.getRecordingAccessLink(recording_id)
+        || await context.daily.getRecordingDownloadUrl(recording_id);
+    if (!url) {
+        throw new Error('No download link available for recording yet');
+    }
+
+    const archive = await context.archiver.archive(payload, url);
+    context.recordingStore.recordArchived(recording_id, archive);
+
+    context.log.info('Recording archived', {
+        room: room_name,
+        recording_id,
+        location: archive.location,
+        size: archive.size,
+        sha256: archive.sha256
+    });
+
+    return archive;
+}
+
+// Send one routed notification about a recording event. Ready recordings get
+// a fresh access link; if Daily will not give one, the notification still
+// goes out without it rather than not at all.
+export async function notifyRecording(data, context) {
+    const { channel, event_type, ...recording } = data;
+
+    if (event_type === 'recording.ready-to-download' && !recording.access_link) {
+        try {
+            recording.access_link = await context.daily.getRecordingAccessLink(recording.recording_id, context.notifier.linkValidForSecs);
+        } catch (error) {
+            context.log.warn('Sending notification without access link', { recording_id: recording.recording_id, channel, error });
+        }
+    }
+
+    return context.notifier.send(channel, event_type, recording);
+}
+
+export default {
+    'recording.fetch-links': fetchRecordingLinks,
+    'recording.archive': archiveRecording,
+    'recording.notify': notifyRecording
+};
@@ -0,0 +1,88 @@
+import JsonlStore from './jsonl-store.js';
+
+export const RECORDING_STATUS = {
+    STARTED: 'started',
+    READY: 'ready',
+    ERROR: 'error'
+};
+
+// Recording lifecycle records keyed by recording_id, moved through
+// started -> ready/error by the recording webhooks
+class RecordingStore extends JsonlStore {
+    constructor(filePath = process.env.RECORDING_STORE_FILE || './data/recordings.jsonl', { readOnly = false } = {}) {
+        super(filePath, 'recording_id', { readOnly });
+    }
+
+    recordStarted({ recording_id, room_name, started_by, start_ts }) {
+        const existing = this.get(recording_id);
+
+        // Deliveries can arrive out of order; a late recording.started must not
+        // move a finished recording back to started
+        const status = existing && existing.status !== RECORDING_STATUS.STARTED
+            ? existing.status
+            : RECORDING_STATUS.STARTED;
+
+        return this.upsert(recording_id, {
+            room: room_name,
+            started_by,
+            start_ts,
+            status
+        });
+    }
+
+    recordReady({ recording_id, room_name, duration, start_ts, s3_key }) {
+        return this.upsert(recording_id, {
+            room: room_name,
+            start_ts,
+            duration,
+            s3_key,
+            status: RECORDING_STATUS.READY,
+            error_msg: null
+        });
+    }
+
+    recordError({ recording_id, room_name, error_msg }) {
+        return this.upsert(recording_id, {
+            room: room_name,
+            status: RECORDING_STATUS.ERROR,
+            error_msg: error_msg || 'Unknown error'
+        });
+    }
+
+    // Remember where the archived copy of a recording lives
+    recordArchived(recordingId, archive) {
+        return this.upsert(recordingId, { archive });
+    }
+
+    // Filter recordings and return one page, newest first. since/until are
+    // unix seconds compared against the recording start time; paging follows
+    // the Daily API's starting_after cursor so clients can reuse their loops.
+    query({ status, room, since, until, limit = 50, startingAfter } = {}) {
+        let results = this.all()
+            .filter(record => !status || record.status === status)
+            .filter(record => !room || record.room === room)
+            .filter(record => since === undefined || startTime(record) >= since)
+            .filter(record => until === undefined || startTime(record) <= until)
+            .sort((a, b) => startTime(b) - startTime(a));
+
+        const totalCount = results.length;
+
+        if (startingAfter) {
+            const index = results.findIndex(record => record.recording_id === startingAfter);
+            results = index === -1 ? [] : results.slice(index + 1);
+        }
+
+        return {
+            total_count: totalCount,
+            data: results.slice(0, limit)
+        };
+    }
+}
+
+// Errors can arrive without ever seeing recording.started, so fall back to
+// when we first heard about the recording
+function startTime(record) {
+    return record.start_ts || Math.floor(Date.parse(record.created_at) / 1000);
+}
+
+export default RecordingStore;
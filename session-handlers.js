@@ -0,0 +1,179 @@
+import { hasPayload } from './recording-handlers.js';
+import { getRoomName } from './session-store.js';
+
+// Handlers for Daily.co meeting, participant, waiting room, transcript and
+// live streaming webhook events. Handlers receive the parsed event and the
+// server's handler context; these use context.log and context.sessionStore.
+
+// Handle meeting started event
+export function handleMeetingStarted(event, context) {
+    if (!hasPayload(event, context)) {
+        return;
+    }
+
+    const { meeting_id, room, start_ts } = event.payload;
+
+    context.sessionStore.meetings.upsert(meeting_id, {
+        room,
+        start_ts,
+        status: 'started'
+    });
+
+    context.log.info('Meeting started', { room, meeting_id, start_ts });
+}
+
+// Handle meeting ended event
+export function handleMeetingEnded(event, context) {
+    if (!hasPayload(event, context)) {
+        return;
+    }
+
+    const { meeting_id, room, start_ts, end_ts } = event.payload;
+    const duration = start_ts && end_ts ? end_ts - start_ts : undefined;
+
+    context.sessionStore.meetings.upsert(meeting_id, {
+        room,
+        start_ts,
+        end_ts,
+        duration,
+        status: 'ended'
+    });
+
+    context.log.info('Meeting ended', { room, meeting_id, start_ts, end_ts, duration });
+}
+
+// Handle participant joined event
+export function handleParticipantJoined(event, context) {
+    if (!hasPayload(event, context)) {
+        return;
+    }
+
+    const { room, session_id, user_id, user_name, owner, joined_at } = event.payload;
+
+    context.sessionStore.participants.upsert(session_id, {
+        room,
+        user_id,
+        user_name,
+        owner: Boolean(owner),
+        joined_at,
+        status: 'joined'
+    });
+
+    context.log.info('Participant joined', {
+        room,
+        session_id,
+        user_id,
+        user_name,
+        owner: Boolean(owner),
+        joined_at
+    });
+}
+
+// Handle participant left event
+export function handleParticipantLeft(event, context) {
+    if (!hasPayload(event, context)) {
+        return;
+    }
+
+    const { room, session_id, user_id, user_name, owner, joined_at, duration } = event.payload;
+    const leftAt = joined_at && duration !== undefined ? joined_at + duration : event.event_ts;
+
+    context.sessionStore.participants.upsert(session_id, {
+        room,
+        user_id,
+        user_name,
+        owner: owner === undefined ? undefined : Boolean(owner),
+        joined_at,
+        left_at: leftAt,
+        duration,
+        status: 'left'
+    });
+
+    context.log.info('Participant left', {
+        room,
+        session_id,
+        user_id,
+        user_name,
+        owner: Boolean(owner),
+        left_at: leftAt,
+        duration
+    });
+}
+
+// Handle waiting-participant.joined and waiting-participant.left events
+export function handleWaitingParticipant(event, context) {
+    if (!hasPayload(event, context)) {
+        return;
+    }
+
+    const { room, id, user_name, joined_at } = event.payload;
+    const action = event.type.slice('waiting-participant.'.length);
+
+    context.sessionStore.waitingParticipants.upsert(id, {
+        room,
+        user_name,
+        joined_at,
+        left_at: action === 'left' ? event.event_ts : undefined,
+        status: action === 'joined' ? 'waiting' : action
+    });
+
+    context.log.info(`Waiting participant ${action}`, { room, waiting_id: id, user_name });
+}
+
+// Handle transcript.started, transcript.ready-to-download and transcript.error events
+export function handleTranscript(event, context) {
+    if (!hasPayload(event, context)) {
+        return;
+    }
+
+    const room = getRoomName(event.payload);
+    const { id, duration, error_msg } = event.payload;
+    const action = event.type.slice('transcript.'.length);
+    const status = {
+        started: 'started',
+        'ready-to-download': 'ready',
+        error: 'error'
+    }[action] || action;
+
+    context.sessionStore.transcripts.upsert(id, {
+        room,
+        mtg_session_id: event.payload.mtg_session_id,
+        duration,
+        error_msg,
+        status
+    });
+
+    const level = status === 'error' ? 'error' : 'info';
+    context.log[level](`Transcript ${action}`, { room, transcript_id: id, duration, error: error_msg });
+}
+
+// Handle streaming.started, streaming.updated, streaming.ended and streaming.error events
+export function handleStreaming(event, context) {
+    if (!hasPayload(event, context)) {
+        return;
+    }
+
+    const room = getRoomName(event.payload);
+    const { instance_id, error_msg } = event.payload;
+    const action = event.type.slice('streaming.'.length);
+
+    // Without an instance id a room has a single live stream
+    context.sessionStore.streams.upsert(instance_id || room, {
+        room,
+        status: action,
+        error_msg
+    });
+
+    const level = action === 'error' ? 'error' : 'info';
+    context.log[level](`Streaming ${action}`, { room, stream_id: instance_id || 'default', error: error_msg });
+}
+
+export default {
+    'meeting.started': handleMeetingStarted,
+    'meeting.ended': handleMeetingEnded,
+    'participant.joined': handleParticipantJoined,
+    'participant.left': handleParticipantLeft,
+    'waiting-participant.*': handleWaitingParticipant,
+    'transcript.*': handleTranscript,
+    'streaming.*': handleStreaming
+};
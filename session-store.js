@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import path from 'path';
+import JsonlStore from './jsonl-store.js';
+
+// Room name as sent by the different event families
+export function getRoomName(payload) {
+    return payload?.room || payload?.room_name || null;
+}
+
+const DEFAULT_EVENT_RETENTION_DAYS = 30;
+
+// SESSION_EVENT_RETENTION_DAYS, where 0 keeps the event log forever
+function defaultEventRetentionDays() {
+    const days = parseInt(process.env.SESSION_EVENT_RETENTION_DAYS);
+    return Number.isNaN(days) ? DEFAULT_EVENT_RETENTION_DAYS : days;
+}
+
+// State for meetings, participants, transcripts and live streams, plus a log
+// of the webhook events received in the last eventRetentionDays, each in its
+// own JSON-lines file
+class SessionStore {
+    constructor(dataDir = process.env.DATA_DIR || './data', { eventRetentionDays = defaultEventRetentionDays(), readOnly = false } = {}) {
+        if (!Number.isInteger(eventRetentionDays) || eventRetentionDays < 0) {
+            throw new Error(`Invalid event retention: ${eventRetentionDays} (expected whole days, 0 to keep events forever)`);
+        }
+
+        this.eventRetentionMs = eventRetentionDays * 24 * 60 * 60 * 1000;
+        this.meetings = new JsonlStore(path.join(dataDir, 'meetings.jsonl'), 'meeting_id', { readOnly });
+        this.participants = new JsonlStore(path.join(dataDir, 'participants.jsonl'), 'session_id', { readOnly });
+        this.waitingParticipants = new JsonlStore(path.join(dataDir, 'waiting-participants.jsonl'), 'id', { readOnly });
+        this.transcripts = new JsonlStore(path.join(dataDir, 'transcripts.jsonl'), 'transcript_id', { readOnly });
+        this.streams = new JsonlStore(path.join(dataDir, 'streams.jsonl'), 'stream_id', { readOnly });
+        this.events = new JsonlStore(path.join(dataDir, 'events.jsonl'), 'event_id', { readOnly });
+
+        // Read-only views leave pruning to the server that owns the files
+        if (!readOnly) {
+            this.pruneEvents();
+        }
+    }
+
+    // Keep the raw event so history can be rebuilt later
+    recordEvent(event) {
+        this.pruneEvents();
+
+        return this.events.upsert(event.id || crypto.randomUUID(), {
+            type: event.type,
+            room: getRoomName(event.payload),
+            event_ts: event.event_ts,
+            payload: event.payload
+        });
+    }
+
+    // Drop events received before the retention window
+    pruneEvents(now = Date.now()) {
+        if (this.eventRetentionMs === 0) {
+            return;
+        }
+
+        const cutoff = new Date(now - this.eventRetentionMs).toISOString();
+
+        // Records keep their first insertion order, so the oldest come first
+        for (const event of this.events.all()) {
+            if (event.created_at >= cutoff) {
+                break;
+            }
+            this.events.delete(event.event_id);
+        }
+    }
+
+    eventsForRoom(room) {
+        return this.events.all()
+            .filter(event => event.room === room)
+            .sort((a, b) => (a.event_ts || 0) - (b.event_ts || 0));
+    }
+
+    participantsForRoom(room) {
+        return this.participants.all().filter(participant => participant.room === room);
+    }
+}
+
+export default SessionStore;
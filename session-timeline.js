@@ -0,0 +1,172 @@
+// Rebuilds an interview's audit trail for one room from the stored webhook
+// events: who joined and left, when recording started and stopped, and errors.
+
+// DailyTester.generateMeetingToken prefixes each participant's user id with
+// their role so the timeline can tell the interviewer and candidate apart
+export const PARTICIPANT_ROLES = {
+    INTERVIEWER: 'interviewer',
+    CANDIDATE: 'candidate',
+    PARTICIPANT: 'participant'
+};
+
+export function getParticipantRole(participant) {
+    const userId = participant?.user_id || '';
+    const userName = participant?.user_name || '';
+
+    for (const role of [PARTICIPANT_ROLES.INTERVIEWER, PARTICIPANT_ROLES.CANDIDATE]) {
+        if (userId.startsWith(`${role}-`)) {
+            return role;
+        }
+    }
+
+    // Tokens issued before user ids were added only carry the name and owner flag
+    if (participant?.owner || /interviewer/i.test(userName)) {
+        return PARTICIPANT_ROLES.INTERVIEWER;
+    }
+    if (/candidate/i.test(userName)) {
+        return PARTICIPANT_ROLES.CANDIDATE;
+    }
+    return PARTICIPANT_ROLES.PARTICIPANT;
+}
+
+// When the event actually happened, which is not always when it was delivered
+function getEventTime(event) {
+    const payload = event.payload || {};
+
+    switch (event.type) {
+        case 'meeting.started':
+        case 'recording.started':
+            return payload.start_ts;
+        case 'meeting.ended':
+            return payload.end_ts;
+        case 'participant.joined':
+            return payload.joined_at;
+        case 'participant.left':
+            return payload.joined_at && payload.duration !== undefined
+                ? payload.joined_at + payload.duration
+                : undefined;
+        case 'recording.ready-to-download':
+            return payload.start_ts && payload.duration !== undefined
+                ? payload.start_ts + payload.duration
+                : undefined;
+        default:
+            return undefined;
+    }
+}
+
+function describeParticipant(payload) {
+    const role = getParticipantRole(payload);
+    const name = payload.user_name || payload.user_id || 'Unknown';
+    return { role, text: role === PARTICIPANT_ROLES.PARTICIPANT ? name : `${role} ${name}` };
+}
+
+function describeEvent(event, participantsBySession) {
+    const payload = event.payload || {};
+
+    switch (event.type) {
+        case 'meeting.started':
+            return { description: 'Meeting started' };
+        case 'meeting.ended':
+            return { description: 'Meeting ended' };
+        case 'participant.joined':
+        case 'participant.left': {
+            const { role, text } = describeParticipant(payload);
+            const action = event.type === 'participant.joined' ? 'joined' : 'left';
+            return { role, description: `${text[0].toUpperCase()}${text.slice(1)} ${action}` };
+        }
+        case 'waiting-participant.joined':
+            return { description: `${payload.user_name || 'Unknown'} entered the waiting room` };
+        case 'waiting-participant.left':
+            return { description: `${payload.user_name || 'Unknown'} left the waiting room` };
+        case 'recording.started': {
+            const starter = participantsBySession.get(payload.started_by);
+            const by = starter ? ` by ${describeParticipant(starter).text}` : '';
+            return { role: starter ? getParticipantRole(starter) : undefined, description: `Recording ${payload.recording_id} started${by}` };
+        }
+        case 'recording.ready-to-download':
+            return { description: `Recording ${payload.recording_id} stopped and ready` };
+        case 'recording.error':
+            return { error: true, description: `Recording ${payload.recording_id} failed: ${payload.error_msg || 'Unknown error'}` };
+        default:
+            // Events stored before deliveries were validated may have no type
+            if (typeof event.type !== 'string') {
+                return { description: 'Unknown event' };
+            }
+            if (event.type.endsWith('.error')) {
+                return { error: true, description: `${event.type}: ${payload.error_msg || 'Unknown error'}` };
+            }
+            return { description: event.type };
+    }
+}
+
+// Build the timeline for a room; returns null when nothing is known about it
+export function buildTimeline(room, { sessionStore, recordingStore }) {
+    const events = sessionStore.eventsForRoom(room);
+    const participants = sessionStore.participantsForRoom(room);
+    const recordings = recordingStore.query({ room, limit: Infinity }).data;
+
+    if (events.length === 0 && participants.length === 0 && recordings.length === 0) {
+        return null;
+    }
+
+    const participantsBySession = new Map(participants.map(participant => [participant.session_id, participant]));
+
+    // Recordings stored before the event history existed only have their lifecycle record
+    const seenRecordingEvents = new Set(events.map(event => `${event.type}:${event.payload?.recording_id}`));
+    const recordingEvents = [];
+    for (const recording of recordings) {
+        const payload = { ...recording, room_name: recording.room };
+        if (recording.start_ts && !seenRecordingEvents.has(`recording.started:${recording.recording_id}`)) {
+            recordingEvents.push({ type: 'recording.started', payload });
+        }
+        if (recording.status === 'ready' && !seenRecordingEvents.has(`recording.ready-to-download:${recording.recording_id}`)) {
+            recordingEvents.push({ type: 'recording.ready-to-download', payload });
+        }
+        if (recording.status === 'error' && !seenRecordingEvents.has(`recording.error:${recording.recording_id}`)) {
+            recordingEvents.push({ type: 'recording.error', payload, created_at: recording.updated_at });
+        }
+    }
+
+    const entries = [...events, ...recordingEvents]
+        .map(event => {
+            const ts = getEventTime(event)
+                || event.event_ts
+                || Math.floor(Date.parse(event.created_at) / 1000)
+                || null;
+            const { role, description, error } = describeEvent(event, participantsBySession);
+
+            return {
+                ts,
+                time: ts ? new Date(ts * 1000).toISOString() : null,
+                type: event.type,
+                ...(role && { role }),
+                description,
+                ...(error && { error: true })
+            };
+        })
+        .sort((a, b) => (a.ts || 0) - (b.ts || 0));
+
+    return {
+        room,
+        participants: participants
+            .map(participant => ({
+                role: getParticipantRole(participant),
+                user_name: participant.user_name,
+                user_id: participant.user_id,
+                session_id: participant.session_id,
+                joined_at: participant.joined_at,
+                left_at: participant.left_at,
+                duration: participant.duration
+            }))
+            .sort((a, b) => (a.joined_at || 0) - (b.joined_at || 0)),
+        recordings: recordings.map(recording => ({
+            recording_id: recording.recording_id,
+            status: recording.status,
+            start_ts: recording.start_ts,
+            duration: recording.duration,
+            error_msg: recording.error_msg
+        })),
+        errors: entries.filter(entry => entry.error),
+        entries
+    };
+}
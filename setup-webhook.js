@@ -2,18 +2,63 @@ import dotenv from 'dotenv';
 import axios from 'axios';
 import crypto from 'crypto';
 import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import DailyClient from './daily-client.js';
+import { addWebhookSecret, getSecretsFile, DEFAULT_GRACE_SECS, SECRETS_POLL_INTERVAL_MS } from './webhook-secrets.js';
 
 // Load environment variables
 dotenv.config();
 
-// Create axios instance for Daily.co API
-const dailyApi = axios.create({
-    baseURL: 'https://api.daily.co/v1/',
-    headers: {
-        'Authorization': `Bearer ${process.env.DAILY_API_KEY}`,
-        'Content-Type': 'application/json'
+// Client for the Daily.co API
+const daily = new DailyClient();
+
+// Daily.co webhook event types by family, as accepted by setup and WEBHOOK_EVENT_TYPES
+const EVENT_TYPE_GROUPS = {
+    recording: ['recording.started', 'recording.ready-to-download', 'recording.error'],
+    meeting: ['meeting.started', 'meeting.ended'],
+    participant: ['participant.joined', 'participant.left'],
+    'waiting-participant': ['waiting-participant.joined', 'waiting-participant.left'],
+    transcript: ['transcript.started', 'transcript.ready-to-download', 'transcript.error'],
+    streaming: ['streaming.started', 'streaming.updated', 'streaming.ended', 'streaming.error']
+};
+
+// Expand a comma-separated list of families ("recording,participant"),
+// wildcards ("participant.*"), exact event types or "all". Only the recording
+// events are subscribed unless asked for; "all" is opt-in.
+function resolveEventTypes(spec = process.env.WEBHOOK_EVENT_TYPES || 'recording') {
+    const eventTypes = new Set();
+    
+    for (const item of spec.split(',').map(value => value.trim()).filter(Boolean)) {
+        const group = item.endsWith('.*') ? item.slice(0, -2) : item;
+        
+        if (item === 'all') {
+            Object.values(EVENT_TYPE_GROUPS).flat().forEach(type => eventTypes.add(type));
+        } else if (EVENT_TYPE_GROUPS[group]) {
+            EVENT_TYPE_GROUPS[group].forEach(type => eventTypes.add(type));
+        } else if (Object.values(EVENT_TYPE_GROUPS).flat().includes(item)) {
+            eventTypes.add(item);
+        } else {
+            throw new Error(`Unknown webhook event type: ${item}`);
+        }
     }
-});
+    
+    return Array.from(eventTypes);
+}
+
+// WEBHOOK_SECRET_GRACE_SECS, where 0 retires the old secret straight away
+function defaultGraceSecs() {
+    const graceSecs = parseInt(process.env.WEBHOOK_SECRET_GRACE_SECS);
+    return Number.isNaN(graceSecs) ? DEFAULT_GRACE_SECS : graceSecs;
+}
+
+// How setup-webhook.js test labels the server's readiness checks
+const READINESS_CHECK_NAMES = {
+    log_file: 'Log file writable',
+    stores: 'Stores writable',
+    daily_api: 'Daily API key',
+    webhook: 'Registered webhook'
+};
 
 class WebhookSetup {
     constructor() {
@@ -62,7 +107,7 @@ class WebhookSetup {
     }
 
     // Create or update webhook configuration
-    async setupWebhook() {
+    async setupWebhook(eventTypes = resolveEventTypes()) {
         try {
             // If no webhook secret exists or it's the placeholder, generate one
             if (!this.webhookSecret || this.webhookSecret === 'your_webhook_secret_here') {
@@ -72,6 +117,9 @@ class WebhookSetup {
                 
                 // Update the .env file automatically
                 this.updateEnvFile();
+                
+                // Let a running webhook server accept the new secret without a restart
+                addWebhookSecret(this.webhookSecret);
             }
 
             console.log(`Setting up webhook: ${this.webhookUrl}`);
@@ -79,23 +127,22 @@ class WebhookSetup {
             // List existing webhooks first
             let existingWebhooks;
             try {
-                const response = await dailyApi.get('/webhooks');
-                existingWebhooks = response.data;
+                existingWebhooks = await daily.listWebhooks();
                 console.log('Existing webhooks:', existingWebhooks);
             } catch (error) {
-                console.log('No existing webhooks found or error fetching:', error.response?.data || error.message);
-                existingWebhooks = { data: [] };
+                console.log('No existing webhooks found or error fetching:', error.message);
+                existingWebhooks = [];
             }
 
             // Delete existing webhooks if any
-            if (existingWebhooks.data && existingWebhooks.data.length > 0) {
-                for (const webhook of existingWebhooks.data) {
+            if (existingWebhooks.length > 0) {
+                for (const webhook of existingWebhooks) {
                     try {
                         console.log(`Deleting existing webhook: ${webhook.id}`);
-                        await dailyApi.delete(`/webhooks/${webhook.id}`);
+                        await daily.deleteWebhook(webhook.id);
                         console.log('Deleted webhook:', webhook.id);
                     } catch (error) {
-                        console.error('Error deleting webhook:', error.response?.data || error.message);
+                        console.error('Error deleting webhook:', error.message);
                     }
                 }
             }
@@ -103,11 +150,7 @@ class WebhookSetup {
             // Create new webhook
             const webhookConfig = {
                 url: this.webhookUrl,
-                eventTypes: [
-                    'recording.started',
-                    'recording.ready-to-download', 
-                    'recording.error'
-                ]
+                eventTypes
             };
 
             // Only add hmac if we have a valid secret
@@ -117,20 +160,20 @@ class WebhookSetup {
 
             console.log('Creating webhook with config:', { ...webhookConfig, hmac: '[HIDDEN]' });
             
-            const response = await dailyApi.post('/webhooks', webhookConfig);
+            const webhook = await daily.createWebhook(webhookConfig);
             
             console.log('✅ Webhook configured successfully!');
-            console.log('Webhook ID:', response.data.id);
-            console.log('Webhook URL:', response.data.url);
-            console.log('Webhook Events:', response.data.eventTypes);
-            console.log('Webhook State:', response.data.state);
+            console.log('Webhook ID:', webhook.id);
+            console.log('Webhook URL:', webhook.url);
+            console.log('Webhook Events:', webhook.eventTypes);
+            console.log('Webhook State:', webhook.state);
             
             // Save webhook info to file
             const webhookInfo = {
-                id: response.data.id,
-                url: response.data.url,
-                eventTypes: response.data.eventTypes,
-                state: response.data.state,
+                id: webhook.id,
+                url: webhook.url,
+                eventTypes: webhook.eventTypes,
+                state: webhook.state,
                 created_at: new Date().toISOString(),
                 hmac_secret: this.webhookSecret
             };
@@ -138,12 +181,12 @@ class WebhookSetup {
             fs.writeFileSync('webhook-info.json', JSON.stringify(webhookInfo, null, 2));
             console.log('Webhook info saved to webhook-info.json');
             
-            return response.data;
+            return webhook;
             
         } catch (error) {
-            console.error('❌ Error setting up webhook:', error.response?.data || error.message);
+            console.error('❌ Error setting up webhook:', error.message);
             
-            if (error.response?.status === 400) {
+            if (error.status === 400) {
                 console.log('\n🔧 Troubleshooting tips:');
                 console.log('1. Make sure your webhook server is running and accessible');
                 console.log('2. Check if the webhook URL is correct and reachable');
@@ -178,15 +221,47 @@ class WebhookSetup {
         }
     }
 
+    // Ask the running server whether it is ready to take deliveries and
+    // print each check; resolves with the server's report, or null if the
+    // server could not be asked
+    async checkReadiness() {
+        const baseUrl = this.webhookUrl.replace('/webhook', '');
+        
+        try {
+            const response = await axios.get(`${baseUrl}/health/ready`, {
+                timeout: 15000,
+                validateStatus: status => status === 200 || status === 503
+            });
+            const report = response.data;
+            
+            console.log(`\n${report.status === 'ready' ? '✅' : '❌'} Readiness: ${report.status}`);
+            for (const [name, check] of Object.entries(report.checks || {})) {
+                const { status, error, ...details } = check;
+                console.log(`${status === 'pass' ? '✅' : '❌'} ${READINESS_CHECK_NAMES[name] || name}${error ? `: ${error}` : ''}`);
+                for (const [key, value] of Object.entries(details)) {
+                    console.log(`    ${key}: ${Array.isArray(value) ? value.join(', ') : value}`);
+                }
+            }
+            
+            return report;
+        } catch (error) {
+            const reason = error.response?.status === 404
+                ? 'the server does not expose /health/ready; restart it with the current code'
+                : error.message;
+            console.error('❌ Readiness check failed:', reason);
+            return null;
+        }
+    }
+
     // List current webhooks
     async listWebhooks() {
         try {
             console.log('Listing current webhooks...');
-            const response = await dailyApi.get('/webhooks');
+            const webhooks = await daily.listWebhooks();
             
-            if (response.data.data && response.data.data.length > 0) {
+            if (webhooks.length > 0) {
                 console.log('Current webhooks:');
-                response.data.data.forEach((webhook, index) => {
+                webhooks.forEach((webhook, index) => {
                     console.log(`\nWebhook ${index + 1}:`);
                     console.log(`  ID: ${webhook.id}`);
                     console.log(`  URL: ${webhook.url}`);
@@ -199,9 +274,87 @@ class WebhookSetup {
                 console.log('No webhooks configured');
             }
             
-            return response.data;
+            return webhooks;
+        } catch (error) {
+            console.error('Error listing webhooks:', error.message);
+            throw error;
+        }
+    }
+
+    // Find the webhook pointing at our URL, or the only configured webhook
+    async findWebhook() {
+        const webhooks = await daily.listWebhooks();
+        
+        return webhooks.find(webhook => webhook.url === this.webhookUrl)
+            || (webhooks.length === 1 ? webhooks[0] : null);
+    }
+
+    // Replace the webhook's HMAC secret without dropping deliveries. The new
+    // secret goes into the secrets file first, and Daily only gets it after
+    // reloadWaitMs, long enough for a running server polling the file to have
+    // picked it up. The old secret stays valid for graceSecs while Daily
+    // switches over.
+    async rotateSecret(graceSecs = defaultGraceSecs(), { reloadWaitMs = 2 * SECRETS_POLL_INTERVAL_MS } = {}) {
+        if (!Number.isInteger(graceSecs) || graceSecs < 0) {
+            throw new Error(`Invalid grace period: ${graceSecs} (expected a non-negative number of seconds)`);
+        }
+
+        try {
+            const webhook = await this.findWebhook();
+            if (!webhook) {
+                throw new Error('No webhook found to rotate. Run "node setup-webhook.js setup" first.');
+            }
+            
+            const webhookId = webhook.uuid || webhook.id;
+            const previousSecret = this.webhookSecret && this.webhookSecret !== 'your_webhook_secret_here'
+                ? this.webhookSecret
+                : null;
+            const newSecret = this.generateWebhookSecret();
+            
+            const secretsFile = getSecretsFile();
+            const previousSecretsFile = fs.existsSync(secretsFile) ? fs.readFileSync(secretsFile) : null;
+            
+            console.log(`Rotating secret for webhook: ${webhookId}`);
+            addWebhookSecret(newSecret, { previousSecret, graceSecs });
+            
+            console.log(`Waiting ${reloadWaitMs / 1000}s for the webhook server to load the new secret...`);
+            await new Promise(resolve => setTimeout(resolve, reloadWaitMs));
+            
+            let updated;
+            try {
+                updated = await daily.updateWebhook(webhookId, { hmac: newSecret });
+            } catch (error) {
+                // Daily still signs with the old secret, so undo the local change
+                if (previousSecretsFile) {
+                    fs.writeFileSync(secretsFile, previousSecretsFile, { mode: 0o600 });
+                } else {
+                    fs.unlinkSync(secretsFile);
+                }
+                throw error;
+            }
+            
+            this.webhookSecret = newSecret;
+            this.updateEnvFile();
+            
+            const webhookInfo = fs.existsSync('webhook-info.json')
+                ? JSON.parse(fs.readFileSync('webhook-info.json', 'utf8'))
+                : {};
+            fs.writeFileSync('webhook-info.json', JSON.stringify({
+                ...webhookInfo,
+                id: webhookId,
+                url: updated.url || webhook.url,
+                state: updated.state || webhook.state,
+                hmac_secret: newSecret,
+                rotated_at: new Date().toISOString()
+            }, null, 2));
+            
+            console.log('✅ Webhook secret rotated successfully!');
+            console.log(`Previous secret remains valid for ${graceSecs} seconds`);
+            console.log(`Secrets file: ${secretsFile}`);
+            
+            return updated;
         } catch (error) {
-            console.error('Error listing webhooks:', error.response?.data || error.message);
+            console.error('❌ Error rotating webhook secret:', error.message);
             throw error;
         }
     }
@@ -211,17 +364,17 @@ class WebhookSetup {
         try {
             const webhooks = await this.listWebhooks();
             
-            if (webhooks.data && webhooks.data.length > 0) {
-                for (const webhook of webhooks.data) {
+            if (webhooks.length > 0) {
+                for (const webhook of webhooks) {
                     console.log(`Deleting webhook: ${webhook.id}`);
-                    await dailyApi.delete(`/webhooks/${webhook.id}`);
+                    await daily.deleteWebhook(webhook.id);
                     console.log(`✅ Deleted webhook: ${webhook.id}`);
                 }
             } else {
                 console.log('No webhooks to delete');
             }
         } catch (error) {
-            console.error('Error deleting webhooks:', error.response?.data || error.message);
+            console.error('Error deleting webhooks:', error.message);
             throw error;
         }
     }
@@ -252,7 +405,7 @@ async function main() {
                     console.log('Make sure to start your webhook server after setup.');
                 }
                 
-                await setup.setupWebhook();
+                await setup.setupWebhook(resolveEventTypes(args[1]));
                 break;
                 
             case 'list':
@@ -263,9 +416,22 @@ async function main() {
                 await setup.deleteAllWebhooks();
                 break;
                 
-            case 'test':
-                await setup.testWebhookEndpoint();
+            case 'test': {
+                const isReachable = await setup.testWebhookEndpoint();
+                const readiness = isReachable ? await setup.checkReadiness() : null;
+                if (readiness?.status !== 'ready') {
+                    process.exit(1);
+                }
                 break;
+            }
+                
+            case 'rotate-secret': {
+                if (args[1] !== undefined && !/^\d+$/.test(args[1])) {
+                    throw new Error(`Invalid grace_secs: ${args[1]}. Usage: node setup-webhook.js rotate-secret [grace_secs] (grace_secs a non-negative integer)`);
+                }
+                await setup.rotateSecret(args[1] === undefined ? undefined : parseInt(args[1]));
+                break;
+            }
                 
             case 'help':
             default:
@@ -273,15 +439,20 @@ async function main() {
 Daily.co Webhook Setup
 ---------------------
 Available commands:
-  node setup-webhook.js setup   - Create webhook configuration
+  node setup-webhook.js setup [EVENTS] - Create webhook configuration
+                                  EVENTS: comma-separated families, event types or all (default: recording)
+                                  Families: ${Object.keys(EVENT_TYPE_GROUPS).join(', ')}
   node setup-webhook.js list    - List current webhooks  
   node setup-webhook.js delete  - Delete all webhooks
-  node setup-webhook.js test    - Test webhook endpoint accessibility
+  node setup-webhook.js test    - Test webhook endpoint accessibility and report its readiness checks
+  node setup-webhook.js rotate-secret [grace_secs] - Replace the webhook secret, keeping the old one valid for grace_secs
 
 Environment variables needed:
   DAILY_API_KEY           - Your Daily.co API key
   WEBHOOK_URL (optional)  - Your webhook URL (defaults to http://localhost:3001/webhook)
+  WEBHOOK_EVENT_TYPES     - Default EVENTS for setup (defaults to recording)
   DAILY_WEBHOOK_SECRET    - Webhook secret for signature verification (auto-generated if not set)
+  WEBHOOK_SECRETS_FILE    - Rotated secrets shared with the webhook server (defaults to ./data/webhook-secrets.json)
                 `);
         }
     } catch (error) {
@@ -290,4 +461,10 @@ Environment variables needed:
     }
 }
 
-main();
\ No newline at end of file
+// Run the CLI when invoked directly, not when imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export { EVENT_TYPE_GROUPS, resolveEventTypes };
+export default WebhookSetup;
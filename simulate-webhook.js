@@ -0,0 +1,297 @@
+import dotenv from 'dotenv';
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseFlags } from './cli-flags.js';
+import { buildPayload, createEvent, getWebhookHeaders, SIMULATED_EVENT_TYPES } from './webhook-events.js';
+
+// Sends signed, realistic Daily.co webhook deliveries to a running
+// webhook-server.js, one at a time or as scripted sequences, so handlers can
+// be exercised without recording a real meeting.
+
+// Load environment variables
+dotenv.config();
+
+// Scripted sequences. Steps are listed in the order things happen; offset is
+// seconds after the start of the scenario and `as` picks the participant.
+// `order` and `duplicate` change how the events are delivered.
+export const SEQUENCES = {
+    recording: {
+        description: 'Recording starts and becomes ready to download',
+        steps: [
+            { type: 'recording.started', as: 'interviewer' },
+            { type: 'recording.ready-to-download', offset: 300 }
+        ]
+    },
+    'recording-error': {
+        description: 'Recording starts and then fails',
+        steps: [
+            { type: 'recording.started', as: 'interviewer' },
+            { type: 'recording.error', offset: 60 }
+        ]
+    },
+    interview: {
+        description: 'Full interview: meeting, both participants and a recording',
+        steps: [
+            { type: 'meeting.started' },
+            { type: 'participant.joined', as: 'interviewer', offset: 5 },
+            { type: 'participant.joined', as: 'candidate', offset: 30 },
+            { type: 'recording.started', as: 'interviewer', offset: 40 },
+            { type: 'recording.ready-to-download', offset: 340 },
+            { type: 'participant.left', as: 'candidate', offset: 350 },
+            { type: 'participant.left', as: 'interviewer', offset: 360 },
+            { type: 'meeting.ended', offset: 365 }
+        ]
+    },
+    'out-of-order': {
+        description: 'Interview delivered newest first, e.g. after Daily retries',
+        order: 'reverse',
+        steps: [
+            { type: 'participant.joined', as: 'candidate' },
+            { type: 'recording.started', as: 'interviewer', offset: 10 },
+            { type: 'recording.ready-to-download', offset: 310 },
+            { type: 'participant.left', as: 'candidate', offset: 320 }
+        ]
+    },
+    duplicates: {
+        description: 'Every recording event delivered twice with the same id',
+        duplicate: true,
+        steps: [
+            { type: 'recording.started', as: 'interviewer' },
+            { type: 'recording.ready-to-download', offset: 300 }
+        ]
+    }
+};
+
+// Identities match the role-prefixed user ids daily-test.js puts in tokens
+function createScenario({ room, recordingId } = {}) {
+    room = room || `sim-room-${crypto.randomUUID().substring(0, 8)}`;
+
+    return {
+        room,
+        recordingId: recordingId || crypto.randomUUID(),
+        meetingId: crypto.randomUUID(),
+        // Leave room for the longest sequence so no event lands in the future
+        baseTs: Math.floor(Date.now() / 1000) - 600,
+        participants: {
+            interviewer: { sessionId: crypto.randomUUID(), userId: `interviewer-${room}`, userName: 'Test Interviewer', owner: true },
+            candidate: { sessionId: crypto.randomUUID(), userId: `candidate-${room}`, userName: 'Test Candidate', owner: false }
+        }
+    };
+}
+
+// Turn sequence steps into events in chronological order. Ending events get
+// the start time of whatever they end, so durations add up.
+export function buildSequenceEvents(steps, options = {}) {
+    const scenario = createScenario(options);
+    const startedAt = {};
+
+    return steps.map(step => {
+        const ts = scenario.baseTs + (step.offset || 0);
+        const participant = scenario.participants[step.as || 'interviewer'];
+        if (!participant) {
+            throw new Error(`Unknown participant "${step.as}" (expected interviewer or candidate)`);
+        }
+
+        const [family, action] = step.type.split('.');
+        const subject = family === 'participant' ? participant.sessionId : family;
+        if (['started', 'joined'].includes(action)) {
+            startedAt[subject] = ts;
+        }
+
+        const payload = buildPayload(step.type, {
+            ...scenario,
+            ...participant,
+            ts,
+            startTs: startedAt[subject]
+        });
+
+        return createEvent(step.type, { ...payload, ...step.payload }, { eventTs: ts });
+    });
+}
+
+// Apply a sequence's delivery order and duplication
+export function orderDeliveries(events, { order, duplicate } = {}) {
+    let deliveries = [...events];
+
+    if (order === 'reverse') {
+        deliveries.reverse();
+    } else if (order === 'shuffle') {
+        for (let i = deliveries.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [deliveries[i], deliveries[j]] = [deliveries[j], deliveries[i]];
+        }
+    }
+
+    if (duplicate) {
+        deliveries = deliveries.flatMap(event => [event, event]);
+    }
+    return deliveries;
+}
+
+// POST one event. signing: 'valid' (default), 'unsigned', 'bad-signature'
+// or 'stale' (a valid signature over an expired timestamp).
+export async function deliverEvent(event, { url, secret, signing = 'valid' } = {}) {
+    const body = JSON.stringify(event);
+    const now = Math.floor(Date.now() / 1000);
+
+    let headers;
+    if (signing === 'unsigned' || !secret) {
+        headers = getWebhookHeaders(body, null, now);
+    } else if (signing === 'bad-signature') {
+        headers = getWebhookHeaders(body, crypto.randomBytes(32).toString('base64'), now);
+    } else if (signing === 'stale') {
+        headers = getWebhookHeaders(body, secret, now - 24 * 60 * 60);
+    } else {
+        headers = getWebhookHeaders(body, secret, now);
+    }
+
+    const response = await axios.post(url, body, {
+        headers,
+        timeout: 10000,
+        validateStatus: () => true
+    });
+    return { status: response.status, data: response.data };
+}
+
+// Load a sequence by name, or from a JSON file holding either a list of
+// steps or { steps, order, duplicate }
+function loadSequence(nameOrFile) {
+    if (SEQUENCES[nameOrFile]) {
+        return SEQUENCES[nameOrFile];
+    }
+    if (!fs.existsSync(nameOrFile)) {
+        throw new Error(`Unknown sequence: ${nameOrFile} (expected one of: ${Object.keys(SEQUENCES).join(', ')}, or a JSON file)`);
+    }
+
+    const sequence = JSON.parse(fs.readFileSync(nameOrFile, 'utf8'));
+    return Array.isArray(sequence) ? { steps: sequence } : sequence;
+}
+
+async function playDeliveries(deliveries, { url, secret, signing, delayMs }) {
+    const results = [];
+
+    for (const [index, event] of deliveries.entries()) {
+        if (index > 0 && delayMs) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+
+        const result = await deliverEvent(event, { url, secret, signing });
+        results.push({ event, ...result });
+        console.log(`→ ${event.type} (${event.id}) ${result.status} ${JSON.stringify(result.data)}`);
+    }
+
+    const accepted = results.filter(result => result.status >= 200 && result.status < 300).length;
+    console.log(`\nDelivered ${results.length} events to ${url}: ${accepted} accepted, ${results.length - accepted} rejected`);
+    return results;
+}
+
+function getDeliveryOptions(flags) {
+    const port = process.env.WEBHOOK_PORT || 3001;
+    const signing = ['unsigned', 'bad-signature', 'stale'].find(mode => flags[mode]) || 'valid';
+    const secret = flags.secret || process.env.DAILY_WEBHOOK_SECRET;
+
+    if (signing === 'valid' && !secret) {
+        console.log('⚠️  No DAILY_WEBHOOK_SECRET configured; sending unsigned deliveries');
+    }
+
+    return {
+        url: flags.url || `http://localhost:${port}${flags.root ? '/' : '/webhook'}`,
+        secret,
+        signing,
+        delayMs: flags.delay === undefined ? 250 : parseInt(flags.delay)
+    };
+}
+
+// Command line interface
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args[0];
+    const { flags, positional } = parseFlags(args.slice(1), {
+        booleans: ['unsigned', 'bad-signature', 'stale', 'root', 'duplicate', 'shuffle', 'reverse']
+    });
+
+    try {
+        switch (command) {
+            case 'send': {
+                const type = positional[0];
+                if (!type) {
+                    throw new Error('Event type is required. Usage: node simulate-webhook.js send TYPE [options]');
+                }
+
+                const step = { type, as: flags.as, payload: flags.payload ? JSON.parse(flags.payload) : undefined };
+                const events = buildSequenceEvents([step], { room: flags.room, recordingId: flags['recording-id'] });
+                const deliveries = orderDeliveries(events, { duplicate: flags.duplicate });
+
+                await playDeliveries(deliveries, getDeliveryOptions(flags));
+                break;
+            }
+
+            case 'sequence': {
+                const name = positional[0];
+                if (!name) {
+                    throw new Error('Sequence name or file is required. Usage: node simulate-webhook.js sequence NAME|FILE [options]');
+                }
+
+                const sequence = loadSequence(name);
+                const events = buildSequenceEvents(sequence.steps, { room: flags.room, recordingId: flags['recording-id'] });
+                const deliveries = orderDeliveries(events, {
+                    order: flags.shuffle ? 'shuffle' : (flags.reverse ? 'reverse' : sequence.order),
+                    duplicate: flags.duplicate || sequence.duplicate
+                });
+
+                console.log(`Playing sequence "${name}" for room ${events[0]?.payload.room || events[0]?.payload.room_name}`);
+                await playDeliveries(deliveries, getDeliveryOptions(flags));
+                break;
+            }
+
+            case 'list':
+                console.log('Event types:');
+                SIMULATED_EVENT_TYPES.forEach(type => console.log(`  ${type}`));
+                console.log('\nSequences:');
+                Object.entries(SEQUENCES).forEach(([name, sequence]) => {
+                    console.log(`  ${name.padEnd(16)} ${sequence.description}`);
+                });
+                break;
+
+            default:
+                console.log(`
+Daily.co Webhook Simulator
+--------------------------
+Commands:
+  node simulate-webhook.js send TYPE [options]          - Send one event (see list for types)
+  node simulate-webhook.js sequence NAME|FILE [options] - Play a built-in or JSON-scripted sequence
+  node simulate-webhook.js list                         - List event types and built-in sequences
+
+Options:
+  --url URL            Delivery URL (default http://localhost:WEBHOOK_PORT/webhook)
+  --root               Deliver to / instead of /webhook
+  --room NAME          Room name (default: a random sim-room-*)
+  --recording-id ID    Recording id (default: a random uuid)
+  --as ROLE            send: participant to act as, interviewer or candidate
+  --payload JSON       send: fields to merge into the payload
+  --secret SECRET      Signing secret (default DAILY_WEBHOOK_SECRET)
+  --unsigned           Send without a signature
+  --bad-signature      Sign with the wrong secret
+  --stale              Sign with a timestamp outside the tolerance window
+  --duplicate          Deliver every event twice with the same id
+  --reverse            Deliver the sequence newest first
+  --shuffle            Deliver the sequence in random order
+  --delay MS           Pause between deliveries (default 250)
+
+Sequence files hold a list of steps, or { "steps": [...], "order": "reverse", "duplicate": true }:
+  [{ "type": "recording.started", "as": "interviewer" },
+   { "type": "recording.error", "offset": 60, "payload": { "error_msg": "disk full" } }]
+                `);
+        }
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
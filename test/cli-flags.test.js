@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFlags, parseDateFlag, parseTimestamp } from '../cli-flags.js';
+
+describe('parseFlags', () => {
+    it('splits valued flags from positional arguments', () => {
+        assert.deepEqual(parseFlags(['room-1', '--limit', '5', '--all']), {
+            flags: { limit: '5', all: true },
+            positional: ['room-1']
+        });
+    });
+
+    it('never gives boolean flags a value', () => {
+        const { flags, positional } = parseFlags(['--all', 'room-1', '--limit', '5'], { booleans: ['all'] });
+
+        assert.deepEqual(flags, { all: true, limit: '5' });
+        assert.deepEqual(positional, ['room-1']);
+    });
+});
+
+describe('parseDateFlag', () => {
+    it('accepts ISO dates and unix seconds', () => {
+        assert.equal(parseDateFlag('2025-07-01T00:00:00Z', 'since'), 1751328000);
+        assert.equal(parseDateFlag('1751328000', 'since'), 1751328000);
+        assert.equal(parseDateFlag(undefined, 'since'), undefined);
+        assert.throws(() => parseDateFlag('yesterday', 'since'), /Invalid --since date: yesterday/);
+    });
+
+    it('shares its parsing with parseTimestamp', () => {
+        assert.equal(parseTimestamp('2025-07-01'), 1751328000);
+        assert.ok(Number.isNaN(parseTimestamp('yesterday')));
+    });
+});
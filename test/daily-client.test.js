@@ -0,0 +1,122 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import DailyClient, { DailyApiError } from '../daily-client.js';
+import { startMockDaily, silentLogger } from './helpers.js';
+
+let mockDaily;
+let daily;
+
+before(async () => {
+    mockDaily = await startMockDaily({ apiKey: 'test-api-key' });
+    daily = new DailyClient({
+        apiKey: 'test-api-key',
+        baseURL: mockDaily.apiBaseURL,
+        retryBaseMs: 10,
+        log: silentLogger
+    });
+});
+
+after(() => mockDaily.close());
+
+describe('DailyClient', () => {
+    it('resolves with the response body', async () => {
+        const room = await daily.createRoom({ name: 'client-room' });
+        assert.equal(room.name, 'client-room');
+        assert.equal((await daily.getRoom('client-room')).id, room.id);
+    });
+
+    it('normalizes API errors', async () => {
+        const error = await daily.getRoom('missing-room').catch(caught => caught);
+
+        assert.ok(error instanceof DailyApiError);
+        assert.equal(error.status, 404);
+        assert.equal(error.code, 'not-found');
+        assert.match(error.message, /GET \/rooms\/missing-room failed \(404 not-found/);
+    });
+
+    it('encodes ids into request paths', async () => {
+        const error = await daily.getRecording('../rooms/client-room').catch(caught => caught);
+
+        assert.equal(error.status, 404);
+        assert.match(error.message, /GET \/recordings\/\.\.%2Frooms%2Fclient-room failed/);
+    });
+
+    it('rejects a bad API key without retrying', async () => {
+        const unauthorized = new DailyClient({ apiKey: 'wrong', baseURL: mockDaily.apiBaseURL, log: silentLogger });
+        const error = await unauthorized.getDomainConfig().catch(caught => caught);
+        assert.equal(error.status, 401);
+    });
+
+    it('retries rate limited calls after Retry-After', async () => {
+        mockDaily.addFault({ path: '/rooms', status: 429, count: 1, retryAfter: 1 });
+
+        const started = Date.now();
+        const page = await daily.listRooms();
+
+        assert.ok(Date.now() - started >= 1000);
+        assert.ok(page.data.length > 0);
+    });
+
+    it('retries transient 5xx errors on idempotent calls', async () => {
+        mockDaily.addFault({ method: 'GET', path: '/rooms', status: 503, count: 2 });
+        const page = await daily.listRooms();
+        assert.ok(page.data.length > 0);
+    });
+
+    it('does not retry 5xx errors on calls that may have taken effect', async () => {
+        const fault = mockDaily.addFault({ method: 'POST', path: '/rooms', status: 500, count: 2 });
+
+        const error = await daily.createRoom({ name: 'never-created' }).catch(caught => caught);
+        assert.equal(error.status, 500);
+        assert.equal(fault.remaining, 1);
+
+        mockDaily.reset();
+    });
+
+    it('gives up after maxRetries', async () => {
+        mockDaily.addFault({ path: '/', status: 502, count: 10 });
+
+        const error = await daily.getDomainConfig().catch(caught => caught);
+        assert.equal(error.status, 502);
+
+        mockDaily.reset();
+    });
+
+    it('makes a single attempt when DAILY_API_MAX_RETRIES is 0', async () => {
+        process.env.DAILY_API_MAX_RETRIES = '0';
+        try {
+            const once = new DailyClient({ apiKey: 'test-api-key', baseURL: mockDaily.apiBaseURL, retryBaseMs: 10, log: silentLogger });
+            const fault = mockDaily.addFault({ path: '/', status: 502, count: 2 });
+
+            const error = await once.getDomainConfig().catch(caught => caught);
+            assert.equal(error.status, 502);
+            assert.equal(fault.remaining, 1);
+        } finally {
+            delete process.env.DAILY_API_MAX_RETRIES;
+            mockDaily.reset();
+        }
+    });
+
+    it('rejects a negative maxRetries', () => {
+        assert.throws(() => new DailyClient({ maxRetries: -1 }), /Invalid max retries: -1/);
+    });
+
+    it('walks every page with collectPages', async () => {
+        for (let i = 0; i < 120; i++) {
+            await daily.createRoom({ name: `paged-${i}` });
+        }
+
+        const all = await daily.collectPages('/rooms');
+        assert.equal(all.data.length, 120);
+        assert.equal(all.total_count, 120);
+
+        const limited = await daily.collectPages('/rooms', { limit: 105 });
+        assert.equal(limited.data.length, 105);
+
+        const names = [];
+        for await (const room of daily.paginate('/rooms', { startingAfter: all.data[109].id })) {
+            names.push(room.name);
+        }
+        assert.deepEqual(names, all.data.slice(110).map(room => room.name));
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { useTempEnv, silenceConsole, startMockDaily } from './helpers.js';
+
+const dir = useTempEnv();
+silenceConsole();
+
+const mockDaily = await startMockDaily({ apiKey: 'test-api-key' });
+process.env.DAILY_API_BASE_URL = mockDaily.apiBaseURL;
+process.env.DAILY_API_MAX_RETRIES = '1';
+
+const { default: DailyTester } = await import('../daily-test.js');
+
+after(() => mockDaily.close());
+
+describe('DailyTester', () => {
+    const tester = new DailyTester();
+
+    before(async () => {
+        await tester.getDomainConfig();
+        await tester.createRoom();
+    });
+
+    it('reads the domain id from the domain config', () => {
+        assert.equal(tester.domainId, mockDaily.state.domain.domain_id);
+    });
+
+    it('creates a private room that expires', () => {
+        const room = mockDaily.state.rooms.find(candidate => candidate.name === tester.roomName);
+        assert.equal(room.privacy, 'private');
+        assert.ok(room.config.exp > Date.now() / 1000);
+    });
+
+    it('generates role-tagged meeting tokens signed with the API key', () => {
+        const interviewer = jwt.verify(tester.generateMeetingToken(true), 'test-api-key');
+        const candidate = jwt.verify(tester.generateMeetingToken(false), 'test-api-key');
+
+        assert.equal(interviewer.r, tester.roomName);
+        assert.equal(interviewer.o, true);
+        assert.equal(interviewer.ud, `interviewer-${tester.roomName}`);
+        assert.equal(candidate.o, false);
+        assert.equal(candidate.ud, `candidate-${tester.roomName}`);
+    });
+
+    it('starts and stops a recording', async () => {
+        const started = await tester.startRecording();
+        assert.equal(tester.recordingId, started.id);
+        assert.equal((await tester.getRecordingStatus()).status, 'in-progress');
+
+        await tester.stopRecording();
+        assert.equal((await tester.getRecordingById(tester.recordingId)).status, 'finished');
+    });
+
+    it('lists recordings for the current room and by room name', async () => {
+        const forRoom = await tester.listRecordings();
+        assert.deepEqual(forRoom.data.map(recording => recording.id), [tester.recordingId]);
+
+        const byName = await tester.listRecordingsByRoom(tester.roomName, { limit: 1 });
+        assert.equal(byName.data[0].id, tester.recordingId);
+    });
+
+    it('gets download and access links for finished recordings', async () => {
+        assert.match(await tester.getRecordingDownloadUrl(tester.recordingId), /\/__mock\/downloads\//);
+        assert.match(await tester.getRecordingAccessLink(tester.recordingId, 60), /\/__mock\/downloads\//);
+
+        const withLinks = await tester.getRoomRecordingsWithAccessLinks(tester.roomName);
+        assert.equal(withLinks.length, 1);
+        assert.ok(withLinks[0].accessLink);
+    });
+
+    it('downloads a recording once and skips it on later runs', async () => {
+        const output = path.join(dir, 'recordings');
+
+        const first = await tester.downloadRecording(tester.recordingId, output);
+        assert.equal(first.skipped, false);
+        assert.equal(fs.statSync(first.filePath).size, first.size);
+
+        const second = await tester.downloadRecording(tester.recordingId, output);
+        assert.equal(second.skipped, true);
+        assert.equal(second.sha256, first.sha256);
+    });
+
+    it('downloads every matching recording and writes a manifest', async () => {
+        const output = path.join(dir, 'all-recordings');
+        const manifest = await tester.downloadAllRecordings({ roomName: tester.roomName, status: 'finished' }, { outputPath: output });
+
+        assert.equal(manifest.recordings.length, 1);
+        assert.equal(manifest.recordings[0].status, 'downloaded');
+        assert.ok(fs.existsSync(path.join(output, 'manifest.json')));
+    });
+
+    it('refuses a concurrency that would start no downloads', async () => {
+        for (const concurrency of [NaN, 0, 1.5]) {
+            await assert.rejects(tester.downloadAllRecordings({}, { concurrency }), /Invalid concurrency/);
+        }
+    });
+
+    it('reports API errors', async () => {
+        await assert.rejects(tester.getRecordingById('no-such-recording'), /Failed to get recording details/);
+    });
+
+    it('configures S3 recording settings on the domain', async () => {
+        await tester.configureS3RecordingSettings('bucket', 'us-west-2', 'arn:aws:iam::123:role/daily', true, false);
+        assert.equal(mockDaily.state.domain.config.recordings_bucket.bucket_name, 'bucket');
+    });
+
+    it('lists and deletes rooms', async () => {
+        const rooms = await tester.listRooms();
+        assert.ok(rooms.data.some(room => room.name === tester.roomName));
+
+        await tester.deleteRoom();
+        assert.equal(mockDaily.state.rooms.some(room => room.name === tester.roomName), false);
+    });
+});
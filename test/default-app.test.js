@@ -0,0 +1,44 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import DailyClient from '../daily-client.js';
+import { useTempEnv, silenceConsole, startMockDaily, deliver } from './helpers.js';
+import { buildPayload, createEvent } from '../webhook-events.js';
+
+useTempEnv({ ADMIN_API_TOKEN: 'admin-token' });
+silenceConsole();
+
+const mockDaily = await startMockDaily({ apiKey: 'test-api-key' });
+process.env.DAILY_API_BASE_URL = mockDaily.apiBaseURL;
+
+const { default: app } = await import('../webhook-server.js');
+const { JOB_STATUS } = await import('../job-queue.js');
+
+after(() => mockDaily.close());
+
+describe('default export', () => {
+    it('runs the jobs its deliveries enqueue', async () => {
+        const daily = new DailyClient({ apiKey: 'test-api-key', baseURL: mockDaily.apiBaseURL });
+        await daily.createRoom({ name: 'default-room' });
+        await daily.startRecording('default-room');
+        const recording = await daily.stopRecording('default-room');
+
+        const payload = buildPayload('recording.ready-to-download', {
+            room: 'default-room',
+            recordingId: recording.id,
+            ts: recording.start_ts + recording.duration,
+            startTs: recording.start_ts
+        });
+        await deliver(request(app), createEvent('recording.ready-to-download', payload)).expect(200);
+
+        for (let waited = 0; waited < 5000; waited += 50) {
+            const response = await request(app).get('/admin/jobs').set({ Authorization: 'Bearer admin-token' }).expect(200);
+            const jobs = response.body.data.filter(job => job.data.recording_id === recording.id);
+            if (jobs.length > 0 && jobs.every(job => job.status === JOB_STATUS.COMPLETED)) {
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        assert.fail(`Jobs for ${recording.id} did not run`);
+    });
+});
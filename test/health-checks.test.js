@@ -0,0 +1,148 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import request from 'supertest';
+import { useTempEnv, silenceConsole, silentLogger } from './helpers.js';
+import HealthChecks from '../health-checks.js';
+
+const dir = useTempEnv();
+silenceConsole();
+
+const { createWebhookServer } = await import('../webhook-server.js');
+
+const webhookInfoFile = path.join(dir, 'webhook-info.json');
+
+// Stands in for DailyClient; tests change domainError and webhook to
+// simulate a bad key or a failing webhook
+const daily = {
+    calls: 0,
+    domainError: null,
+    webhook: { id: 'webhook-1', url: 'https://example.com', state: 'ACTIVE', failures: 0 },
+    async getDomainConfig() {
+        this.calls++;
+        if (this.domainError) {
+            throw this.domainError;
+        }
+        return { domain_name: 'test-domain' };
+    },
+    async getWebhook(webhookId) {
+        if (!this.webhook) {
+            throw Object.assign(new Error(`Daily API GET /webhooks/${webhookId} failed (404)`), { status: 404 });
+        }
+        return this.webhook;
+    }
+};
+
+function createChecks(options = {}) {
+    return new HealthChecks({ daily, webhookInfoFile, storePaths: [path.join(dir, 'data', 'recordings.jsonl')], ...options });
+}
+
+beforeEach(() => {
+    daily.calls = 0;
+    daily.domainError = null;
+    daily.webhook = { id: 'webhook-1', url: 'https://example.com', state: 'ACTIVE', failures: 0 };
+    fs.writeFileSync(webhookInfoFile, JSON.stringify({ id: 'webhook-1', url: 'https://example.com' }));
+});
+
+describe('HealthChecks', () => {
+    it('passes when everything is writable and the webhook is active', async () => {
+        const { ready, checks } = await createChecks().run();
+
+        assert.equal(ready, true);
+        assert.deepEqual(Object.keys(checks), ['log_file', 'stores', 'daily_api', 'webhook']);
+        assert.equal(checks.daily_api.domain_name, 'test-domain');
+        assert.equal(checks.webhook.state, 'ACTIVE');
+    });
+
+    it('caches Daily results until they expire', async () => {
+        const checks = createChecks();
+        await Promise.all([checks.run(), checks.run()]);
+        await checks.run();
+        assert.equal(daily.calls, 1);
+
+        checks.clearCache();
+        await checks.run();
+        assert.equal(daily.calls, 2);
+    });
+
+    it('fails without an API key or when Daily rejects it', async () => {
+        const missing = await createChecks({ apiKey: '' }).run();
+        assert.equal(missing.checks.daily_api.error, 'DAILY_API_KEY is not set');
+
+        daily.domainError = Object.assign(new Error('Daily API GET / failed (401)'), { status: 401 });
+        const rejected = await createChecks().run();
+        assert.equal(rejected.ready, false);
+        assert.equal(rejected.checks.daily_api.error, 'Daily rejected DAILY_API_KEY');
+    });
+
+    it('fails when no webhook is registered or it is no longer healthy', async () => {
+        fs.unlinkSync(webhookInfoFile);
+        assert.match((await createChecks().run()).checks.webhook.error, /No webhook registered/);
+
+        fs.writeFileSync(webhookInfoFile, JSON.stringify({ id: 'webhook-1' }));
+        daily.webhook = { ...daily.webhook, state: 'FAILED' };
+        assert.equal((await createChecks().run()).checks.webhook.error, 'Webhook is FAILED');
+
+        daily.webhook = { ...daily.webhook, state: 'ACTIVE', failures: 4 };
+        assert.match((await createChecks().run()).checks.webhook.error, /4 failed deliveries \(limit 3\)/);
+
+        daily.webhook = null;
+        assert.match((await createChecks().run()).checks.webhook.error, /no longer exists/);
+    });
+
+    it('fails when the log file or a store cannot be written', async () => {
+        const notADirectory = path.join(dir, 'not-a-directory');
+        fs.writeFileSync(notADirectory, '');
+
+        const { ready, checks } = await createChecks({
+            logFile: path.join(notADirectory, 'events.log'),
+            storePaths: [path.join(notADirectory, 'data', 'jobs.jsonl')]
+        }).run();
+
+        assert.equal(ready, false);
+        assert.match(checks.log_file.error, /is not a directory/);
+        assert.match(checks.stores.error, /jobs\.jsonl: .* is not a directory/);
+    });
+});
+
+describe('health routes', () => {
+    const healthChecks = createChecks();
+    const webhookServer = createWebhookServer({ logger: silentLogger, healthChecks });
+    const { app } = webhookServer;
+
+    it('GET /health/live reports the process is up', async () => {
+        const response = await request(app).get('/health/live').expect(200);
+        assert.equal(response.body.status, 'alive');
+    });
+
+    it('GET /health/ready answers 200 with every check when ready', async () => {
+        healthChecks.clearCache();
+        const response = await request(app).get('/health/ready').expect(200);
+
+        assert.equal(response.body.status, 'ready');
+        assert.equal(response.body.checks.webhook.status, 'pass');
+    });
+
+    it('GET /health/ready answers 503 when a check fails', async () => {
+        healthChecks.clearCache();
+        daily.webhook = { ...daily.webhook, state: 'FAILED' };
+
+        const response = await request(app).get('/health/ready').expect(503);
+        assert.equal(response.body.status, 'not_ready');
+        assert.equal(response.body.checks.webhook.status, 'fail');
+    });
+
+    it('builds its own checks from the server options', async () => {
+        const { healthChecks: built } = createWebhookServer({ logger: silentLogger, dailyClient: daily });
+        assert.equal(built.daily, daily);
+        assert.ok(built.storePaths.includes(process.env.RECORDING_STORE_FILE));
+        assert.ok(built.storePaths.includes(process.env.JOB_QUEUE_FILE));
+    });
+
+    it('GET /health/ready answers 503 once shutdown starts', async () => {
+        await webhookServer.stop();
+        const response = await request(app).get('/health/ready').expect(503);
+        assert.equal(response.body.status, 'shutting_down');
+    });
+});
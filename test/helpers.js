@@ -0,0 +1,65 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { mock } from 'node:test';
+import { createMockDailyServer } from '../mock-daily-server.js';
+import { getWebhookHeaders } from '../webhook-events.js';
+import { createLogger } from '../logger.js';
+
+// Run the test file from a fresh temporary directory with every store, log
+// and secrets file inside it, and without picking up the developer's .env.
+// Modules read these variables when they load, so call this before
+// importing them.
+export function useTempEnv(env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'daily-webhook-test-'));
+    process.chdir(dir);
+
+    Object.assign(process.env, {
+        DATA_DIR: path.join(dir, 'data'),
+        LOG_FILE: path.join(dir, 'events.log'),
+        RECORDING_STORE_FILE: path.join(dir, 'data', 'recordings.jsonl'),
+        JOB_QUEUE_FILE: path.join(dir, 'data', 'jobs.jsonl'),
+        WEBHOOK_SECRETS_FILE: path.join(dir, 'data', 'webhook-secrets.json'),
+        DAILY_API_KEY: 'test-api-key',
+        DAILY_WEBHOOK_SECRET: '',
+        WEBHOOK_REQUIRE_SIGNATURE: 'false',
+        ADMIN_API_TOKEN: '',
+        ARCHIVE_DESTINATION: '',
+        ...env
+    });
+
+    return dir;
+}
+
+// The server and scripts log every step; keep test output readable
+export function silenceConsole() {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+}
+
+// For code that takes a logger, when a test does not care what it logs
+export const silentLogger = createLogger({ file: null, echo: false });
+
+// Start the mock Daily API on a free port
+export async function startMockDaily(options = {}) {
+    const mockDaily = createMockDailyServer({ verifyWebhookUrls: false, log: () => {}, ...options });
+    const server = await new Promise(resolve => {
+        const listening = mockDaily.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        ...mockDaily,
+        url,
+        apiBaseURL: `${url}/v1/`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// POST an event to the webhook server the way Daily would, signed with secret
+export function deliver(agent, event, { secret, path: deliveryPath = '/webhook', timestamp } = {}) {
+    const body = typeof event === 'string' ? event : JSON.stringify(event);
+    return agent.post(deliveryPath)
+        .set(getWebhookHeaders(body, secret, timestamp))
+        .send(body);
+}
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempEnv } from './helpers.js';
+import { analyzeRecords, analyzeLogFiles, formatTable, formatCsv } from '../log-analytics.js';
+
+const dir = useTempEnv();
+
+function record(time, msg, fields) {
+    return { time, level: 'info', msg, ...fields };
+}
+
+const RECORDS = [
+    record('2026-09-01T10:00:00.000Z', 'Recording started', { room: 'room-a', recording_id: 'a1' }),
+    record('2026-09-01T10:30:00.000Z', 'Recording ready', { room: 'room-a', recording_id: 'a1', duration: 1800 }),
+    record('2026-09-01T11:00:00.000Z', 'Recording started', { room: 'room-a', recording_id: 'a2' }),
+    record('2026-09-01T11:20:00.000Z', 'Recording ready', { room: 'room-a', recording_id: 'a2', duration: 1200 }),
+    record('2026-09-02T09:00:00.000Z', 'Recording error', { room: 'room-b', recording_id: 'b1', error: 'disk full' }),
+    record('2026-09-02T09:05:00.000Z', 'Recording error', { room: 'room-b', recording_id: 'b2', error: 'disk full' }),
+    record('2026-09-02T09:10:00.000Z', 'Recording ready', { room: 'room-b', recording_id: 'b3', duration: 600 }),
+    // A late, duplicated recording.started does not undo the ready recording
+    record('2026-09-02T09:11:00.000Z', 'Recording started', { room: 'room-b', recording_id: 'b3' }),
+    record('2026-10-05T08:00:00.000Z', 'Recording error', { room: 'room-c', recording_id: 'c1', error: 'rtmp "failed", retrying' }),
+    record('2026-10-05T08:00:01.000Z', 'Webhook received', { event_type: 'recording.error' })
+];
+
+describe('analyzeRecords', () => {
+    const report = analyzeRecords(RECORDS);
+
+    it('counts recordings, durations and error rates', () => {
+        assert.deepEqual(report.summary, {
+            recordings: 6,
+            ready: 3,
+            errors: 3,
+            total_duration: 3600,
+            average_duration: 1200,
+            error_rate: 0.5
+        });
+    });
+
+    it('breaks the counts down per room and per day', () => {
+        assert.deepEqual(report.rooms.map(row => [row.room, row.recordings, row.errors]),
+            [['room-b', 3, 2], ['room-a', 2, 0], ['room-c', 1, 1]]);
+        assert.deepEqual(report.days.map(row => [row.day, row.ready, row.total_duration]),
+            [['2026-09-01', 2, 3000], ['2026-09-02', 1, 600], ['2026-10-05', 0, 0]]);
+    });
+
+    it('ranks the most common error messages', () => {
+        assert.deepEqual(report.errors, [
+            { error_msg: 'disk full', count: 2 },
+            { error_msg: 'rtmp "failed", retrying', count: 1 }
+        ]);
+    });
+
+    it('filters by period and room', () => {
+        const september = analyzeRecords(RECORDS, {
+            since: Date.parse('2026-09-01T00:00:00Z') / 1000,
+            until: Date.parse('2026-09-30T23:59:59Z') / 1000
+        });
+        assert.equal(september.summary.recordings, 5);
+        assert.equal(september.period.since, '2026-09-01T00:00:00.000Z');
+
+        assert.equal(analyzeRecords(RECORDS, { room: 'room-a' }).summary.recordings, 2);
+    });
+});
+
+describe('output formats', () => {
+    const report = analyzeRecords(RECORDS);
+
+    it('renders a table with every section', () => {
+        const table = formatTable(report);
+        assert.match(table, /^Recordings from the start of the log/);
+        assert.match(table, /room-a\s+2\s+2\s+0\s+0\.0%\s+50m 00s\s+25m 00s/);
+        assert.match(table, /Most common errors\n.*\n.*\n2\s+disk full/);
+    });
+
+    it('renders CSV with quoted values', () => {
+        const lines = formatCsv(report).split('\n');
+        assert.equal(lines[0], 'scope,key,recordings,ready,errors,error_rate,total_duration,average_duration,count');
+        assert.equal(lines[1], 'total,,6,3,3,0.5,3600,1200,');
+        assert.ok(lines.includes('error,"rtmp ""failed"", retrying",,,,,,,1'));
+    });
+});
+
+describe('analyzeLogFiles', () => {
+    it('reads the old text format and JSON lines together', async () => {
+        const legacy = path.join(dir, 'events.log.2026-09-01');
+        const current = path.join(dir, 'events.log');
+        fs.writeFileSync(legacy, `[2026-09-01T10:30:00.000Z] ✅ RECORDING STOPPED & READY
+    Room: room-a
+    Recording ID: a1
+    Duration: 30 minutes
+[2026-09-01T11:00:00.000Z] ❌ RECORDING ERROR
+    Room: room-a
+    Recording ID: a2
+    Error: disk full
+`);
+        fs.writeFileSync(current, `${JSON.stringify(RECORDS[6])}\n`);
+
+        const report = await analyzeLogFiles([legacy, current]);
+        assert.equal(report.summary.ready, 2);
+        assert.equal(report.summary.total_duration, 2400);
+        assert.deepEqual(report.errors, [{ error_msg: 'disk full', count: 1 }]);
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempEnv } from './helpers.js';
+import { parseLogRecords, readLogRecords } from '../log-parser.js';
+import { migrateLog, migrateLogInPlace } from '../migrate-logs.js';
+
+const dir = useTempEnv();
+
+const LEGACY_LOG = `[2025-07-05T04:16:26.224Z] 🚀 Daily.co Webhook Server started on port 3001
+    Webhook URL: http://localhost:3001/webhook
+    Log file: ./recording_events.log
+[2025-07-05T04:30:47.169Z] 🔍 VERIFICATION: Daily.co webhook verification request received
+[2025-07-05T05:24:26.090Z] 📝 WEBHOOK EVENT RECEIVED: recording.ready-to-download
+[2025-07-05T05:24:26.100Z] ✅ RECORDING STOPPED & READY
+    Room: test-room-ba7dae36
+    Recording ID: 215c5137-011f-4317-9fdc-450c5ac72b71
+    Duration: 0.22 minutes
+    S3 Key: Not available
+
+    📥 Download URL: Not available
+    🎦 Streaming URL: https://bucket.s3.amazonaws.com/rec.mp4?X-Amz-Credential=AKIA&X-Amz-Signature=deadbeef
+[2025-07-05T05:30:00.000Z] ❌ WEBHOOK ERROR: Invalid signature
+[2025-07-05T05:31:00.000Z] 📡 STREAMING ERROR
+    Room: test-room-ba7dae36
+    Stream ID: default
+    Error: rtmp failed
+[2025-07-05T05:40:00.000Z] 🛑 Webhook server terminated
+`;
+
+const JSON_LINE = '{"time":"2025-07-06T00:00:00.000Z","level":"info","msg":"Webhook received","event_type":"meeting.started"}';
+
+describe('parseLogRecords', () => {
+    const records = parseLogRecords(LEGACY_LOG);
+
+    it('turns each old entry into one record', () => {
+        assert.deepEqual(records.map(record => record.msg), [
+            'Webhook server started',
+            'Webhook verification request',
+            'Webhook received',
+            'Recording ready',
+            'Webhook rejected',
+            'Streaming error',
+            'Shutdown started'
+        ]);
+    });
+
+    it('reads levels and fields from the headline and detail lines', () => {
+        const [started, verification, received, ready, rejected, streaming, stopped] = records;
+
+        assert.deepEqual(started, { time: '2025-07-05T04:16:26.224Z', level: 'info', msg: 'Webhook server started', port: 3001 });
+        assert.equal(verification.level, 'debug');
+        assert.equal(received.event_type, 'recording.ready-to-download');
+
+        assert.equal(ready.room, 'test-room-ba7dae36');
+        assert.equal(ready.recording_id, '215c5137-011f-4317-9fdc-450c5ac72b71');
+        assert.equal(ready.duration, 13);
+        assert.equal(ready.s3_key, null);
+        assert.equal(ready.download_url, null);
+        assert.match(ready.access_link, /^https:\/\/bucket/);
+
+        assert.deepEqual([rejected.level, rejected.reason], ['warn', 'invalid_signature']);
+        assert.deepEqual([streaming.level, streaming.error], ['error', 'rtmp failed']);
+        assert.equal(stopped.reason, 'SIGTERM');
+    });
+
+    it('reads logs that mix both formats', () => {
+        const mixed = parseLogRecords(`${LEGACY_LOG}${JSON_LINE}\n`);
+        assert.equal(mixed.length, records.length + 1);
+        assert.equal(mixed.at(-1).event_type, 'meeting.started');
+    });
+
+    it('streams the same records from a file', async () => {
+        const file = path.join(dir, 'stream.log');
+        fs.writeFileSync(file, `${JSON_LINE}\n${LEGACY_LOG}`);
+
+        const streamed = [];
+        for await (const record of readLogRecords(file)) {
+            streamed.push(record);
+        }
+        assert.deepEqual(streamed, parseLogRecords(`${JSON_LINE}\n${LEGACY_LOG}`));
+    });
+});
+
+describe('migrate-logs', () => {
+    it('writes redacted JSON lines and can drop debug records', async () => {
+        const input = path.join(dir, 'legacy.log');
+        const output = path.join(dir, 'migrated.log');
+        fs.writeFileSync(input, LEGACY_LOG);
+
+        const stats = await migrateLog(input, output, { minLevel: 'info' });
+        assert.equal(stats.written, 6);
+        assert.equal(stats.dropped, 1);
+
+        const content = fs.readFileSync(output, 'utf8');
+        assert.ok(!content.includes('deadbeef'));
+        assert.ok(!content.includes('AKIA'));
+        assert.ok(content.trim().split('\n').every(line => JSON.parse(line).msg));
+    });
+
+    it('migrates in place, keeps the original and passes JSON lines through', async () => {
+        const file = path.join(dir, 'in-place.log');
+        fs.writeFileSync(file, `${LEGACY_LOG}${JSON_LINE}\n`);
+
+        const { backupPath } = await migrateLogInPlace(file);
+        assert.equal(fs.readFileSync(backupPath, 'utf8'), `${LEGACY_LOG}${JSON_LINE}\n`);
+
+        const migrated = fs.readFileSync(file, 'utf8').trim().split('\n');
+        assert.equal(migrated.length, 8);
+        assert.equal(migrated.at(-1), JSON_LINE);
+
+        await assert.rejects(migrateLogInPlace(file), /already exists/);
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempEnv, silenceConsole } from './helpers.js';
+import { createLogger, redact } from '../logger.js';
+
+const dir = useTempEnv();
+silenceConsole();
+
+let fileCount = 0;
+function logFile() {
+    return path.join(dir, `logger-${++fileCount}`, 'app.log');
+}
+
+function readRecords(file) {
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('Logger', () => {
+    it('writes JSON lines with the level, message and fields', async () => {
+        const file = logFile();
+        const logger = createLogger({ file });
+
+        logger.info('Recording ready', { room: 'room-a', recording_id: 'rec-1', duration: 300 });
+        await logger.flush();
+
+        const [record] = readRecords(file);
+        assert.equal(record.level, 'info');
+        assert.equal(record.msg, 'Recording ready');
+        assert.equal(record.room, 'room-a');
+        assert.equal(record.duration, 300);
+        assert.ok(Date.parse(record.time));
+    });
+
+    it('skips levels below the configured one', async () => {
+        const file = logFile();
+        const logger = createLogger({ file, level: 'warn' });
+
+        logger.debug('Webhook verification request');
+        logger.info('Webhook received');
+        logger.warn('Webhook rejected', { reason: 'invalid_signature' });
+        await logger.flush();
+
+        assert.deepEqual(readRecords(file).map(record => record.msg), ['Webhook rejected']);
+    });
+
+    it('rejects unknown levels and rotation modes', () => {
+        assert.throws(() => createLogger({ file: null, level: 'verbose' }), /Invalid log level/);
+        assert.throws(() => createLogger({ file: null, rotate: 'weekly' }), /Invalid LOG_ROTATE/);
+    });
+
+    it('adds child bindings to every line in the same file', async () => {
+        const file = logFile();
+        const logger = createLogger({ file });
+
+        logger.child({ component: 'jobs' }).info('Job queued', { job_id: 'job-1' });
+        await logger.flush();
+
+        const [record] = readRecords(file);
+        assert.equal(record.component, 'jobs');
+        assert.equal(record.job_id, 'job-1');
+    });
+
+    it('rotates by size and keeps maxFiles rotated files', async () => {
+        const file = logFile();
+        const logger = createLogger({ file, rotate: 'size', maxBytes: 200, maxFiles: 2 });
+
+        for (let i = 0; i < 20; i++) {
+            logger.info('Webhook received', { event_id: `event-${i}` });
+            // Rotated files are named by time, so keep their names apart
+            await new Promise(resolve => setTimeout(resolve, 2));
+        }
+        await logger.flush();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const names = fs.readdirSync(path.dirname(file));
+        assert.equal(names.filter(name => name !== 'app.log').length, 2);
+        assert.ok(fs.statSync(file).size <= 200);
+        assert.equal(readRecords(file).at(-1).event_id, 'event-19');
+    });
+
+    it('rotates when the day changes', async () => {
+        const file = logFile();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, '{"msg":"yesterday"}\n');
+        const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        fs.utimesSync(file, yesterday, yesterday);
+
+        const logger = createLogger({ file, rotate: 'daily' });
+        logger.info('today');
+        await logger.flush();
+
+        const rotated = `${file}.${yesterday.toISOString().slice(0, 10)}`;
+        assert.equal(fs.readFileSync(rotated, 'utf8'), '{"msg":"yesterday"}\n');
+        assert.deepEqual(readRecords(file).map(record => record.msg), ['today']);
+    });
+
+    it('redacts signatures, tokens and secrets', async () => {
+        const file = logFile();
+        const logger = createLogger({ file, level: 'debug' });
+
+        logger.debug('Webhook delivery', {
+            headers: {
+                'x-webhook-signature': 'abc',
+                authorization: 'Bearer admin-token',
+                'content-type': 'application/json'
+            },
+            access_link: 'https://bucket.s3.amazonaws.com/rec.mp4?X-Amz-Credential=AKIA&X-Amz-Signature=deadbeef&X-Amz-Expires=3600'
+        });
+        logger.info('Webhook secrets reloaded', { webhook_secret: 'shh', apiKey: 'key' });
+        await logger.flush();
+
+        const content = fs.readFileSync(file, 'utf8');
+        for (const secret of ['abc', 'admin-token', 'AKIA', 'deadbeef', 'shh', '"key"']) {
+            assert.ok(!content.includes(secret), `${secret} was written`);
+        }
+        assert.match(content, /X-Amz-Expires=3600/);
+        assert.match(content, /"content-type":"application\/json"/);
+    });
+});
+
+describe('redact', () => {
+    it('flattens errors and summarizes buffers', () => {
+        const error = Object.assign(new Error('Daily API GET /recordings/x failed (404)'), { status: 404 });
+
+        assert.deepEqual(redact({ error, body: Buffer.from('hello') }), {
+            error: { name: 'Error', message: error.message, status: 404 },
+            body: '[Buffer 5 bytes]'
+        });
+    });
+});
@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import request from 'supertest';
+import { useTempEnv, silenceConsole, deliver } from './helpers.js';
+import { buildPayload, createEvent } from '../webhook-events.js';
+import { MetricsRegistry } from '../metrics.js';
+
+const secret = crypto.randomBytes(32).toString('base64');
+
+useTempEnv({ DAILY_WEBHOOK_SECRET: secret, WEBHOOK_REQUIRE_SIGNATURE: 'true' });
+silenceConsole();
+
+const { createWebhookServer } = await import('../webhook-server.js');
+
+// Stands in for DailyClient; recordings named "missing" fail like a 404
+const dailyClient = {
+    async getRecording(recordingId) {
+        if (recordingId === 'missing') {
+            throw Object.assign(new Error('Daily API GET /recordings/missing failed (404)'), { status: 404 });
+        }
+        return { id: recordingId, download_link: `https://example.com/${recordingId}.mp4` };
+    },
+    async getRecordingAccessLink(recordingId) {
+        return { download_link: `https://example.com/${recordingId}.mp4?token=abc` };
+    }
+};
+
+const { app, handlerContext } = createWebhookServer({ dailyClient });
+
+// Value of one series in a scrape, or undefined if it is not there
+function sample(text, series) {
+    const line = text.split('\n').find(entry => entry.startsWith(`${series} `));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+async function scrape() {
+    const response = await request(app).get('/metrics').expect(200);
+    assert.match(response.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+    return response.text;
+}
+
+function recordingEvent(type, recordingId, ts = Math.floor(Date.now() / 1000) - 60) {
+    return createEvent(type, buildPayload(type, { room: 'metrics-room', recordingId, ts, startTs: ts - 300 }));
+}
+
+describe('MetricsRegistry', () => {
+    it('renders counters, gauges and histograms in the text format', () => {
+        const metrics = new MetricsRegistry();
+        metrics.counter({ name: 'events_total', help: 'Events', labelNames: ['type'] }).inc({ type: 'a "quoted"\nvalue' }, 2);
+        metrics.counter({ name: 'errors_total', help: 'Errors' });
+        metrics.gauge({ name: 'queue_size', help: 'Queue size', collect: gauge => gauge.set({}, 3) });
+        metrics.histogram({ name: 'latency_seconds', help: 'Latency', buckets: [0.1, 1] }).observe({}, 0.5);
+
+        assert.equal(metrics.render(), [
+            '# HELP events_total Events',
+            '# TYPE events_total counter',
+            'events_total{type="a \\"quoted\\"\\nvalue"} 2',
+            '# HELP errors_total Errors',
+            '# TYPE errors_total counter',
+            'errors_total 0',
+            '# HELP queue_size Queue size',
+            '# TYPE queue_size gauge',
+            'queue_size 3',
+            '# HELP latency_seconds Latency',
+            '# TYPE latency_seconds histogram',
+            'latency_seconds_bucket{le="0.1"} 0',
+            'latency_seconds_bucket{le="1"} 1',
+            'latency_seconds_bucket{le="+Inf"} 1',
+            'latency_seconds_sum 0.5',
+            'latency_seconds_count 1',
+            ''
+        ].join('\n'));
+    });
+
+    it('rejects unknown labels and duplicate names', () => {
+        const metrics = new MetricsRegistry();
+        const counter = metrics.counter({ name: 'events_total', help: 'Events', labelNames: ['type'] });
+
+        assert.throws(() => counter.inc({ room: 'room-a' }), /Unknown label room/);
+        assert.throws(() => metrics.gauge({ name: 'events_total', help: 'Again' }), /already registered/);
+    });
+});
+
+describe('GET /metrics', () => {
+    it('counts deliveries by event type and outcome', async () => {
+        const event = recordingEvent('recording.started', 'metrics-rec-1');
+        await deliver(request(app), event, { secret }).expect(200);
+        await deliver(request(app), event, { secret }).expect(200);
+        await deliver(request(app), createEvent('made-up.event', {}), { secret }).expect(200);
+
+        const text = await scrape();
+        assert.equal(sample(text, 'daily_webhook_deliveries_total{event_type="recording.started",outcome="processed"}'), 1);
+        assert.equal(sample(text, 'daily_webhook_deliveries_total{event_type="recording.started",outcome="duplicate"}'), 1);
+        assert.equal(sample(text, 'daily_webhook_deliveries_total{event_type="other",outcome="processed"}'), 1);
+        assert.equal(sample(text, 'daily_webhook_handling_duration_seconds_count{event_type="recording.started"}'), 1);
+    });
+
+    it('counts signature failures and unparseable bodies', async () => {
+        await deliver(request(app), recordingEvent('recording.started', 'metrics-rec-2'), { secret: 'wrong-secret' }).expect(401);
+        await deliver(request(app), '{not json', { secret }).expect(400);
+        await deliver(request(app), null, { secret, path: '/' }).expect(400);
+
+        const text = await scrape();
+        assert.equal(sample(text, 'daily_webhook_signature_failures_total{reason="invalid_signature"}'), 1);
+        assert.equal(sample(text, 'daily_webhook_deliveries_total{event_type="unknown",outcome="rejected"}'), 1);
+        assert.equal(sample(text, 'daily_webhook_parse_errors_total'), 2);
+        assert.equal(sample(text, 'daily_webhook_deliveries_total{event_type="unknown",outcome="invalid_json"}'), 1);
+        assert.equal(sample(text, 'daily_webhook_deliveries_total{event_type="unknown",outcome="invalid_event"}'), 1);
+    });
+
+    it('times Daily API calls and counts failures by status', async () => {
+        const { daily } = handlerContext;
+        await daily.getRecordingDownloadUrl('metrics-rec-3');
+        await daily.getRecordingAccessLink('metrics-rec-3');
+        await assert.rejects(daily.getRecordingDownloadUrl('missing'), /404/);
+
+        const text = await scrape();
+        assert.equal(sample(text, 'daily_api_requests_total{operation="get_recording",outcome="success"}'), 1);
+        assert.equal(sample(text, 'daily_api_requests_total{operation="get_recording",outcome="failure"}'), 1);
+        assert.equal(sample(text, 'daily_api_requests_total{operation="get_recording_access_link",outcome="success"}'), 1);
+        assert.equal(sample(text, 'daily_api_failures_total{operation="get_recording",status="404"}'), 1);
+        assert.equal(sample(text, 'daily_api_request_duration_seconds_count{operation="get_recording"}'), 2);
+    });
+
+    it('reports recordings in progress, by status and recorded minutes', async () => {
+        const { recordingStore } = handlerContext;
+        const before = sample(await scrape(), 'daily_recorded_minutes_total');
+
+        recordingStore.recordStarted({ recording_id: 'metrics-rec-4', room_name: 'metrics-room', start_ts: 1 });
+        recordingStore.recordStarted({ recording_id: 'metrics-rec-5', room_name: 'metrics-room', start_ts: 1 });
+        recordingStore.recordReady({ recording_id: 'metrics-rec-5', room_name: 'metrics-room', duration: 90, start_ts: 1 });
+        recordingStore.recordError({ recording_id: 'metrics-rec-6', room_name: 'metrics-room', error_msg: 'boom' });
+
+        const text = await scrape();
+        const started = recordingStore.all().filter(recording => recording.status === 'started').length;
+        assert.equal(sample(text, 'daily_recordings_in_progress'), started);
+        assert.equal(sample(text, 'daily_recordings{status="started"}'), started);
+        assert.ok(sample(text, 'daily_recordings{status="error"}') >= 1);
+        assert.equal(sample(text, 'daily_recorded_minutes_total'), before + 1.5);
+        assert.equal(sample(text, 'daily_jobs{status="pending"}'), handlerContext.jobQueue.counts().pending);
+    });
+});
@@ -0,0 +1,29 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockDaily } from './helpers.js';
+
+const mockDaily = await startMockDaily();
+
+after(() => mockDaily.close());
+
+function postControl(path, body) {
+    return fetch(`${mockDaily.url}/__mock${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+describe('mock Daily control API', () => {
+    it('fires events at no webhooks when none are registered', async () => {
+        const response = await postControl('/events', { type: 'recording.started', payload: {} });
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { deliveries: [] });
+    });
+
+    it('answers 500 when firing an event fails', async () => {
+        const response = await postControl('/events', { type: 42 });
+        assert.equal(response.status, 500);
+        assert.equal((await response.json()).error, 'server-error');
+    });
+});
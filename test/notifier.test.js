@@ -0,0 +1,219 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import request from 'supertest';
+import { useTempEnv, silenceConsole, silentLogger, deliver } from './helpers.js';
+import { buildPayload, createEvent } from '../webhook-events.js';
+import Notifier, { renderTemplate, templateValues } from '../notifier.js';
+
+useTempEnv();
+silenceConsole();
+
+const { createWebhookServer, verifyWebhookSignature } = await import('../webhook-server.js');
+const { JOB_STATUS } = await import('../job-queue.js');
+
+const notifySecret = 'outbound-secret';
+
+// Collects what our channels post, keeping the raw body for signature checks
+const received = [];
+const receiver = express();
+receiver.use(express.raw({ type: '*/*' }));
+receiver.post('/:channel', (req, res) => {
+    received.push({ channel: req.params.channel, headers: req.headers, raw: req.body, body: JSON.parse(req.body) });
+    res.status(req.params.channel === 'broken' ? 500 : 200).end();
+});
+const receiverServer = await new Promise(resolve => {
+    const listening = receiver.listen(0, '127.0.0.1', () => resolve(listening));
+});
+const receiverUrl = `http://127.0.0.1:${receiverServer.address().port}`;
+
+after(() => new Promise(resolve => receiverServer.close(resolve)));
+
+function createNotifier(config) {
+    return new Notifier({ config, log: silentLogger });
+}
+
+const recording = {
+    room_name: 'interview-42',
+    recording_id: 'rec-42',
+    duration: 1830,
+    start_ts: 1751700000,
+    access_link: 'https://example.com/rec-42.mp4'
+};
+
+describe('Notifier templates', () => {
+    it('fills in room, duration and access link', () => {
+        const { subject, text } = createNotifier({}).render('recording.ready-to-download', recording);
+
+        assert.equal(subject, 'Recording ready: interview-42 (30m 30s)');
+        assert.match(text, /Access link: https:\/\/example\.com\/rec-42\.mp4/);
+    });
+
+    it('uses configured templates and leaves unknown placeholders alone', () => {
+        const notifier = createNotifier({
+            templates: { 'recording.error': { subject: '{{room}} failed', text: '{{error}} ({{nope}})' } }
+        });
+        const { subject, text } = notifier.render('recording.error', { room_name: 'interview-42', error_msg: 'disk full' });
+
+        assert.equal(subject, 'interview-42 failed');
+        assert.equal(text, 'disk full ({{nope}})');
+    });
+
+    it('describes missing values', () => {
+        const values = templateValues('recording.ready-to-download', { recording_id: 'rec-1' });
+        assert.equal(renderTemplate('{{room}} {{duration}} {{access_link}}', values), 'unknown room unknown not available');
+    });
+});
+
+describe('Notifier routing and configuration', () => {
+    const notifier = createNotifier({
+        channels: {
+            ops: { type: 'slack', url: `${receiverUrl}/slack` },
+            ats: { type: 'webhook', url: `${receiverUrl}/webhook`, secret: notifySecret }
+        },
+        routes: [
+            { events: ['recording.error'], channels: ['ops', 'ats'] },
+            { events: ['recording.*'], channels: ['ats'] }
+        ]
+    });
+
+    it('routes each event type to its channels once', () => {
+        assert.deepEqual(notifier.channelsFor('recording.error'), ['ops', 'ats']);
+        assert.deepEqual(notifier.channelsFor('recording.ready-to-download'), ['ats']);
+        assert.deepEqual(notifier.channelsFor('meeting.started'), []);
+        assert.equal(createNotifier({}).enabled, false);
+    });
+
+    it('rejects unusable channels and routes', () => {
+        assert.throws(() => createNotifier({ channels: { sms: { type: 'sms' } } }), /unknown type sms/);
+        assert.throws(() => createNotifier({ channels: { ats: { type: 'webhook', url: receiverUrl } } }), /needs a secret/);
+        assert.throws(() => createNotifier({ channels: { mail: { type: 'email' } } }), /needs a to address/);
+        assert.throws(() => createNotifier({ channels: { mail: { type: 'email', to: ['ops@example.com'] } } }), /needs SMTP_HOST/);
+        assert.throws(() => createNotifier({ routes: [{ events: ['recording.error'], channels: ['missing'] }] }), /unknown channel missing/);
+    });
+
+    it('builds channels from NOTIFY_* variables without a config file', () => {
+        Object.assign(process.env, { NOTIFY_SLACK_WEBHOOK_URL: `${receiverUrl}/slack`, NOTIFY_EVENTS: 'recording.error' });
+        try {
+            const fromEnv = new Notifier({ configFile: './missing.json', log: silentLogger });
+            assert.deepEqual(fromEnv.channelsFor('recording.error'), ['slack']);
+            assert.deepEqual(fromEnv.channelsFor('recording.ready-to-download'), []);
+        } finally {
+            delete process.env.NOTIFY_SLACK_WEBHOOK_URL;
+            delete process.env.NOTIFY_EVENTS;
+        }
+    });
+
+    it('signs outbound webhooks with our secret', async () => {
+        received.length = 0;
+        await notifier.send('ats', 'recording.ready-to-download', recording);
+
+        const [delivery] = received;
+        assert.equal(delivery.body.event_type, 'recording.ready-to-download');
+        assert.equal(delivery.body.recording.access_link, recording.access_link);
+        assert.equal(delivery.body.recording.duration, 1830);
+        assert.ok(verifyWebhookSignature(delivery.raw, delivery.headers['x-webhook-signature'], notifySecret, delivery.headers['x-webhook-timestamp']));
+    });
+
+    it('posts Slack-compatible messages', async () => {
+        received.length = 0;
+        await notifier.send('ops', 'recording.error', { room_name: 'interview-42', recording_id: 'rec-42', error_msg: 'disk full' });
+
+        assert.deepEqual(received[0].body, {
+            text: '*Recording failed: interview-42*\nThe recording of interview-42 failed: disk full\nRecording ID: rec-42\nStarted: unknown'
+        });
+    });
+
+    it('escapes Slack markup in payload values', async () => {
+        received.length = 0;
+        await notifier.send('ops', 'recording.error', { room_name: 'R&D <team>', recording_id: 'rec-43', error_msg: '<!channel> disk full' });
+
+        assert.equal(received[0].body.text.split('\n')[0], '*Recording failed: R&amp;D &lt;team&gt;*');
+        assert.match(received[0].body.text, /failed: &lt;!channel&gt; disk full/);
+    });
+
+    it('sends email over the configured transport', async () => {
+        const mailer = createNotifier({
+            channels: { recruiting: { type: 'email', to: ['recruiting@example.com'], smtp: { jsonTransport: true } } }
+        });
+
+        const result = await mailer.send('recruiting', 'recording.ready-to-download', recording);
+        const message = JSON.parse(result.message);
+        assert.deepEqual(message.to, [{ address: 'recruiting@example.com', name: '' }]);
+        assert.equal(message.subject, 'Recording ready: interview-42 (30m 30s)');
+        assert.match(message.text, /rec-42\.mp4/);
+        mailer.close();
+    });
+
+    it('fails when the channel does not accept the delivery', async () => {
+        const broken = createNotifier({ channels: { broken: { type: 'slack', url: `${receiverUrl}/broken` } } });
+        await assert.rejects(broken.send('broken', 'recording.error', recording), /500/);
+        await assert.rejects(broken.send('missing', 'recording.error', recording), /Unknown notification channel/);
+    });
+});
+
+describe('recording notifications', () => {
+    const notifier = createNotifier({
+        channels: {
+            ops: { type: 'slack', url: `${receiverUrl}/slack` },
+            ats: { type: 'webhook', url: `${receiverUrl}/webhook`, secret: notifySecret }
+        },
+        routes: [
+            { events: ['recording.error'], channels: ['ops'] },
+            { events: ['recording.ready-to-download'], channels: ['ats'] }
+        ]
+    });
+    const dailyClient = {
+        async getRecording() {
+            return {};
+        },
+        async getRecordingAccessLink(recordingId, validForSecs) {
+            return { download_link: `https://example.com/${recordingId}.mp4?valid=${validForSecs}` };
+        }
+    };
+    const { app, handlerContext } = createWebhookServer({ logger: silentLogger, dailyClient, notifier });
+    const { jobQueue } = handlerContext;
+
+    before(() => jobQueue.start(handlerContext));
+    after(() => jobQueue.stop());
+
+    async function waitForNotifications(recordingId) {
+        for (let waited = 0; waited < 5000; waited += 50) {
+            const jobs = jobQueue.list({ type: 'recording.notify' }).filter(job => job.data.recording_id === recordingId);
+            if (jobs.length > 0 && jobs.every(job => job.status === JOB_STATUS.COMPLETED)) {
+                return jobs;
+            }
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        throw new Error(`Notifications for ${recordingId} were not sent`);
+    }
+
+    function recordingEvent(type, recordingId) {
+        const ts = Math.floor(Date.now() / 1000) - 60;
+        return createEvent(type, buildPayload(type, { room: 'interview-7', recordingId, ts, startTs: ts - 300, errorMsg: 'encoder crashed' }));
+    }
+
+    it('notifies the routed channels when a recording fails', async () => {
+        received.length = 0;
+        await deliver(request(app), recordingEvent('recording.error', 'notify-error')).expect(200);
+
+        const jobs = await waitForNotifications('notify-error');
+        assert.deepEqual(jobs.map(job => job.data.channel), ['ops']);
+        assert.match(received.find(entry => entry.channel === 'slack').body.text, /interview-7 failed: encoder crashed/);
+    });
+
+    it('sends a fresh access link when a recording is ready', async () => {
+        received.length = 0;
+        await deliver(request(app), recordingEvent('recording.ready-to-download', 'notify-ready')).expect(200);
+
+        await waitForNotifications('notify-ready');
+        const delivery = received.find(entry => entry.channel === 'webhook');
+        assert.equal(delivery.body.recording.access_link, `https://example.com/notify-ready.mp4?valid=${notifier.linkValidForSecs}`);
+        assert.equal(delivery.body.recording.room, 'interview-7');
+    });
+
+    it('queues nothing for event types without a route', async () => {
+        await deliver(request(app), recordingEvent('recording.started', 'notify-started')).expect(200);
+        assert.equal(jobQueue.list({ type: 'recording.notify' }).filter(job => job.data.recording_id === 'notify-started').length, 0);
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import { useTempEnv } from './helpers.js';
+import { downloadToFile } from '../recording-download.js';
+
+const dir = useTempEnv();
+
+const bytes = crypto.randomBytes(64 * 1024);
+
+// Drops the connection halfway through while `dropping` is set, and serves
+// Range requests like Daily's storage does
+let dropping = true;
+const ranges = [];
+const app = express();
+app.get('/recording.mp4', (req, res) => {
+    const start = parseInt(/^bytes=(\d+)-$/.exec(req.headers.range || '')?.[1] || '0');
+    ranges.push(start);
+
+    res.status(start ? 206 : 200).set({
+        'Content-Length': String(bytes.length - start),
+        ...(start && { 'Content-Range': `bytes ${start}-${bytes.length - 1}/${bytes.length}` })
+    });
+    if (dropping) {
+        res.write(bytes.subarray(start, bytes.length / 2));
+        return setTimeout(() => res.socket.destroy(), 20);
+    }
+    res.end(bytes.subarray(start));
+});
+const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+});
+const url = `http://127.0.0.1:${server.address().port}/recording.mp4`;
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('downloadToFile', () => {
+    it('keeps the partial file when retries run out and resumes from it', async () => {
+        const filePath = path.join(dir, 'downloads', 'recording.mp4');
+        const retries = [];
+
+        await assert.rejects(
+            downloadToFile(url, filePath, { retries: 1, retryDelayMs: 1, onProgress: progress => progress.error && retries.push(progress) }),
+            /Incomplete download|aborted|socket hang up/
+        );
+        assert.equal(retries.length, 1);
+        assert.equal(retries[0].attempt, 1);
+        assert.equal(fs.statSync(`${filePath}.part`).size, bytes.length / 2);
+        assert.equal(fs.existsSync(filePath), false);
+
+        dropping = false;
+        ranges.length = 0;
+        const download = await downloadToFile(url, filePath, { retries: 0 });
+
+        assert.deepEqual(ranges, [bytes.length / 2]);
+        assert.equal(download.sha256, crypto.createHash('sha256').update(bytes).digest('hex'));
+        assert.equal(fs.existsSync(`${filePath}.part`), false);
+    });
+});
@@ -0,0 +1,102 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import request from 'supertest';
+import DailyClient from '../daily-client.js';
+import RecordingArchiver from '../recording-archiver.js';
+import { useTempEnv, silenceConsole, startMockDaily, deliver } from './helpers.js';
+import { buildPayload, createEvent } from '../webhook-events.js';
+
+const dir = useTempEnv({ ARCHIVE_DESTINATION: 'local' });
+process.env.ARCHIVE_DIR = path.join(dir, 'archive');
+silenceConsole();
+
+const mockDaily = await startMockDaily({ apiKey: 'test-api-key' });
+process.env.DAILY_API_BASE_URL = mockDaily.apiBaseURL;
+process.env.DAILY_API_MAX_RETRIES = '1';
+
+const { createWebhookServer } = await import('../webhook-server.js');
+const { app, handlerContext } = createWebhookServer();
+const { JOB_STATUS } = await import('../job-queue.js');
+const { jobQueue, recordingStore } = handlerContext;
+
+jobQueue.start(handlerContext);
+
+after(async () => {
+    await jobQueue.stop();
+    await mockDaily.close();
+});
+
+// Wait until the queue has run the recording's jobs at least once
+async function waitForJobs(recordingId, isDone) {
+    for (let waited = 0; waited < 5000; waited += 50) {
+        const jobs = jobQueue.list().filter(job => job.data.recording_id === recordingId);
+        if (jobs.length > 0 && jobs.every(isDone)) {
+            return jobs;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Jobs for ${recordingId} did not finish`);
+}
+
+describe('recording jobs', () => {
+    let recording;
+
+    before(async () => {
+        const daily = new DailyClient({ apiKey: 'test-api-key', baseURL: mockDaily.apiBaseURL });
+        await daily.createRoom({ name: 'jobs-room' });
+        await daily.startRecording('jobs-room');
+        recording = await daily.stopRecording('jobs-room');
+
+        const payload = buildPayload('recording.ready-to-download', {
+            room: 'jobs-room',
+            recordingId: recording.id,
+            ts: recording.start_ts + recording.duration,
+            startTs: recording.start_ts
+        });
+        await deliver(request(app), createEvent('recording.ready-to-download', payload)).expect(200);
+    });
+
+    it('fetches links and archives a ready recording', async () => {
+        const jobs = await waitForJobs(recording.id, job => job.status === JOB_STATUS.COMPLETED);
+        assert.equal(jobs.length, 2);
+
+        const links = jobs.find(job => job.type === 'recording.fetch-links').result;
+        assert.match(links.download_url, /\/__mock\/downloads\//);
+        assert.match(links.access_link, /\/__mock\/downloads\//);
+
+        const { archive } = recordingStore.get(recording.id);
+        const archivedPath = fileURLToPath(archive.location);
+        assert.equal(fs.statSync(archivedPath).size, archive.size);
+        assert.equal(archivedPath, path.resolve(dir, 'archive', 'jobs-room', `${recording.id}.mp4`));
+    });
+
+    it('keeps archived files inside the archive directory', async () => {
+        const archiver = new RecordingArchiver({
+            destination: 'local',
+            directory: path.join(dir, 'traversal', 'archive'),
+            stagingDir: path.join(dir, 'traversal', 'staging')
+        });
+        const { download_link } = await new DailyClient({ apiKey: 'test-api-key', baseURL: mockDaily.apiBaseURL }).getRecording(recording.id);
+
+        const archive = await archiver.archive({ room_name: '../../escaped', recording_id: '../../../owned' }, download_link);
+        assert.equal(fileURLToPath(archive.location), path.join(dir, 'traversal', 'archive', '______escaped', '_________owned.mp4'));
+        assert.deepEqual(fs.readdirSync(path.join(dir, 'traversal', 'staging')), []);
+
+        const staged = { filePath: fileURLToPath(archive.location), size: archive.size, sha256: archive.sha256 };
+        await assert.rejects(archiver.storeLocally(staged, '../escaped.mp4'), /resolves outside/);
+        assert.equal(fs.existsSync(path.join(dir, 'traversal', 'escaped.mp4')), false);
+    });
+
+    it('retries when Daily cannot hand out a link yet', async () => {
+        mockDaily.addFault({ path: '/recordings/later-recording', status: 500, count: 10 });
+        jobQueue.enqueue('recording.fetch-links', { recording_id: 'later-recording', room_name: 'jobs-room' });
+
+        const [retried] = await waitForJobs('later-recording', job => job.attempts > 0 && job.status === JOB_STATUS.PENDING);
+        assert.equal(retried.attempts, 1);
+        assert.match(retried.last_error, /500/);
+        mockDaily.reset();
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempEnv } from './helpers.js';
+
+const dir = useTempEnv();
+
+const { default: SessionStore } = await import('../session-store.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function roomEvent(id, room) {
+    return { id, type: 'meeting.started', payload: { room } };
+}
+
+describe('SessionStore event retention', () => {
+    it('drops events older than the retention window, on disk too', () => {
+        const dataDir = path.join(dir, 'retention');
+        const store = new SessionStore(dataDir, { eventRetentionDays: 7 });
+        store.recordEvent(roomEvent('evt-old', 'room-a'));
+        store.recordEvent(roomEvent('evt-new', 'room-a'));
+
+        // Pretend the first event arrived eight days ago
+        store.events.records.get('evt-old').created_at = new Date(Date.now() - 8 * DAY_MS).toISOString();
+        store.pruneEvents();
+
+        assert.deepEqual(store.eventsForRoom('room-a').map(event => event.event_id), ['evt-new']);
+        assert.deepEqual(new SessionStore(dataDir).eventsForRoom('room-a').map(event => event.event_id), ['evt-new']);
+    });
+
+    it('keeps every event when retention is 0', () => {
+        const store = new SessionStore(path.join(dir, 'forever'), { eventRetentionDays: 0 });
+        store.recordEvent(roomEvent('evt-ancient', 'room-b'));
+        store.events.records.get('evt-ancient').created_at = new Date(0).toISOString();
+
+        store.pruneEvents();
+        assert.equal(store.eventsForRoom('room-b').length, 1);
+    });
+
+    it('rejects a retention that is not whole days', () => {
+        assert.throws(() => new SessionStore(path.join(dir, 'invalid'), { eventRetentionDays: -1 }), /Invalid event retention/);
+    });
+});
+
+describe('SessionStore read-only', () => {
+    it('never compacts or writes the files it reads', () => {
+        const dataDir = path.join(dir, 'read-only');
+        const store = new SessionStore(dataDir);
+        for (let i = 0; i < 150; i++) {
+            store.participants.upsert('session-1', { room: 'room-c', joined_at: i });
+        }
+        const participantsFile = path.join(dataDir, 'participants.jsonl');
+        const before = fs.readFileSync(participantsFile, 'utf8');
+
+        const view = new SessionStore(dataDir, { readOnly: true });
+        assert.equal(view.participantsForRoom('room-c')[0].joined_at, 149);
+        assert.equal(fs.readFileSync(participantsFile, 'utf8'), before);
+        assert.throws(() => view.recordEvent(roomEvent('evt-view', 'room-c')), /read-only/);
+    });
+});
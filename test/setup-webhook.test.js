@@ -0,0 +1,145 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import request from 'supertest';
+import { useTempEnv, silenceConsole, startMockDaily, deliver } from './helpers.js';
+import { createEvent } from '../webhook-events.js';
+
+useTempEnv({ WEBHOOK_EVENT_TYPES: 'recording' });
+silenceConsole();
+
+// Started first so the server's readiness checks also talk to the mock
+const mockDaily = await startMockDaily({ apiKey: 'test-api-key', verifyWebhookUrls: true });
+process.env.DAILY_API_BASE_URL = mockDaily.apiBaseURL;
+
+// Daily checks the webhook URL before accepting it, so run the real server
+const { createWebhookServer } = await import('../webhook-server.js');
+const webhookServer = createWebhookServer();
+const { handlerContext } = webhookServer;
+const server = await webhookServer.start(0);
+process.env.WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/webhook`;
+
+const { default: WebhookSetup, resolveEventTypes } = await import('../setup-webhook.js');
+const { readSecretsFile } = await import('../webhook-secrets.js');
+
+after(async () => {
+    await mockDaily.close();
+    await webhookServer.stop();
+});
+
+describe('resolveEventTypes', () => {
+    it('expands families, wildcards and exact types', () => {
+        assert.deepEqual(resolveEventTypes('meeting'), ['meeting.started', 'meeting.ended']);
+        assert.deepEqual(resolveEventTypes('participant.*,recording.error'), ['participant.joined', 'participant.left', 'recording.error']);
+        assert.ok(resolveEventTypes('all').length > 10);
+    });
+
+    it('defaults to the recording events when WEBHOOK_EVENT_TYPES is unset', () => {
+        const configured = process.env.WEBHOOK_EVENT_TYPES;
+        delete process.env.WEBHOOK_EVENT_TYPES;
+        try {
+            assert.deepEqual(resolveEventTypes(), ['recording.started', 'recording.ready-to-download', 'recording.error']);
+        } finally {
+            process.env.WEBHOOK_EVENT_TYPES = configured;
+        }
+    });
+
+    it('rejects unknown event types', () => {
+        assert.throws(() => resolveEventTypes('recording.paused'), /Unknown webhook event type/);
+    });
+});
+
+describe('WebhookSetup', () => {
+    const setup = new WebhookSetup();
+    let webhook;
+
+    before(async () => {
+        webhook = await setup.setupWebhook();
+    });
+
+    it('registers the server base URL with a generated secret', () => {
+        assert.equal(webhook.url, process.env.WEBHOOK_URL.replace('/webhook', ''));
+        assert.deepEqual(webhook.eventTypes, resolveEventTypes('recording'));
+        assert.equal(webhook.hmac, setup.webhookSecret);
+    });
+
+    it('saves the secret for the server and the webhook details', () => {
+        assert.match(fs.readFileSync('.env', 'utf8'), new RegExp(`DAILY_WEBHOOK_SECRET=${setup.webhookSecret.replace(/[+/]/g, '\\$&')}`));
+        assert.ok(readSecretsFile().some(entry => entry.secret === setup.webhookSecret));
+        assert.equal(JSON.parse(fs.readFileSync('webhook-info.json', 'utf8')).id, webhook.id);
+    });
+
+    it('replaces existing webhooks on setup', async () => {
+        await setup.setupWebhook();
+        assert.equal(mockDaily.state.webhooks.length, 1);
+    });
+
+    it('delivers recording events from Daily to the server', async () => {
+        const deliveries = await mockDaily.fireEvent('recording.started', {
+            recording_id: 'e2e-recording',
+            room_name: 'e2e-room',
+            start_ts: Math.floor(Date.now() / 1000)
+        });
+
+        assert.equal(deliveries[0].status, 200);
+        assert.equal(handlerContext.recordingStore.get('e2e-recording').status, 'started');
+    });
+
+    it('checks that the server is reachable', async () => {
+        assert.equal(await setup.testWebhookEndpoint(), true);
+
+        const unreachable = new WebhookSetup();
+        unreachable.webhookUrl = 'http://127.0.0.1:1';
+        assert.equal(await unreachable.testWebhookEndpoint(), false);
+    });
+
+    it('reports the server readiness checks', async () => {
+        const report = await setup.checkReadiness();
+
+        assert.equal(report.status, 'ready');
+        assert.equal(report.checks.daily_api.domain_name, 'mock');
+        assert.equal(report.checks.webhook.id, mockDaily.state.webhooks[0].id);
+
+        const unreachable = new WebhookSetup();
+        unreachable.webhookUrl = 'http://127.0.0.1:1';
+        assert.equal(await unreachable.checkReadiness(), null);
+    });
+
+    it('refuses a grace period that is not a whole number of seconds', async () => {
+        for (const graceSecs of [NaN, -1, 1.5]) {
+            await assert.rejects(setup.rotateSecret(graceSecs, { reloadWaitMs: 0 }), /Invalid grace period/);
+        }
+    });
+
+    it('rotates the secret while keeping the old one valid', async () => {
+        const previousSecret = setup.webhookSecret;
+        await setup.rotateSecret(60);
+
+        assert.notEqual(setup.webhookSecret, previousSecret);
+        assert.equal(mockDaily.state.webhooks[0].hmac, setup.webhookSecret);
+
+        const secrets = readSecretsFile().map(entry => entry.secret);
+        assert.ok(secrets.includes(previousSecret));
+        assert.ok(secrets.includes(setup.webhookSecret));
+
+        // The running server picked the new secret up before Daily got it
+        const event = createEvent('recording.started', {});
+        await deliver(request(webhookServer.app), event, { secret: setup.webhookSecret }).expect(200);
+        await deliver(request(webhookServer.app), event, { secret: 'not-the-secret' }).expect(401);
+    });
+
+    it('lists and deletes webhooks', async () => {
+        assert.equal((await setup.listWebhooks()).length, 1);
+
+        await setup.deleteAllWebhooks();
+        assert.equal(mockDaily.state.webhooks.length, 0);
+    });
+
+    it('reports webhook URLs Daily cannot reach', async () => {
+        const unreachable = new WebhookSetup();
+        unreachable.webhookUrl = 'http://127.0.0.1:1';
+
+        const error = await unreachable.setupWebhook().catch(caught => caught);
+        assert.equal(error.status, 400);
+    });
+});
@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import request from 'supertest';
+import { useTempEnv, silenceConsole, deliver } from './helpers.js';
+import { createEvent } from '../webhook-events.js';
+import { JOB_STATUS } from '../job-queue.js';
+
+useTempEnv();
+silenceConsole();
+
+const { createWebhookServer } = await import('../webhook-server.js');
+
+// A server with a test.slow handler that waits until release() is called
+async function startSlowServer(options = {}) {
+    const webhookServer = createWebhookServer(options);
+    let release;
+    const released = new Promise(resolve => {
+        release = resolve;
+    });
+    let handlerStarted;
+    const started = new Promise(resolve => {
+        handlerStarted = resolve;
+    });
+
+    webhookServer.dispatcher.register('test.slow', async (event, context) => {
+        handlerStarted();
+        await released;
+        context.jobQueue.enqueue('test.after-slow', { id: event.id });
+    });
+    webhookServer.handlerContext.jobQueue.registerWorker('test.after-slow', async data => data);
+
+    const server = await webhookServer.start(0);
+    const url = `http://127.0.0.1:${server.address().port}`;
+    return { ...webhookServer, server, url, release, started };
+}
+
+function post(url, event) {
+    return fetch(`${url}/webhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(event)
+    });
+}
+
+describe('graceful shutdown', () => {
+    it('waits for in-flight deliveries and the jobs they queue', async () => {
+        const slow = await startSlowServer();
+        const event = createEvent('test.slow', {});
+        const response = post(slow.url, event);
+        await slow.started;
+
+        const stopping = slow.stop({ reason: 'SIGTERM', timeoutMs: 5000 });
+        setTimeout(slow.release, 100);
+
+        assert.equal((await response).status, 200);
+        const summary = await stopping;
+
+        assert.equal(summary.timed_out, false);
+        assert.deepEqual(summary.deliveries, { drained: 1, abandoned: 0, rejected: 0 });
+        assert.equal(summary.jobs.finished, 1);
+        assert.equal(slow.server.listening, false);
+
+        const [job] = slow.handlerContext.jobQueue.list({ type: 'test.after-slow' });
+        assert.equal(job.status, JOB_STATUS.COMPLETED);
+    });
+
+    it('answers 503 to deliveries that arrive while shutting down', async () => {
+        const slow = await startSlowServer();
+        post(slow.url, createEvent('test.slow', {}));
+        await slow.started;
+
+        const stopping = slow.stop({ timeoutMs: 5000 });
+        await deliver(request(slow.app), createEvent('recording.started', {})).expect(503);
+        slow.release();
+
+        const summary = await stopping;
+        assert.equal(summary.deliveries.rejected, 1);
+    });
+
+    it('gives up after the timeout and reports what was abandoned', async () => {
+        const slow = await startSlowServer();
+        const response = post(slow.url, createEvent('test.slow', {})).catch(() => null);
+        await slow.started;
+
+        const summary = await slow.stop({ timeoutMs: 200 });
+        assert.equal(summary.timed_out, true);
+        assert.equal(summary.deliveries.abandoned, 1);
+
+        slow.release();
+        await response;
+    });
+
+    it('writes the summary to the log', async () => {
+        const webhookServer = createWebhookServer();
+        await webhookServer.start(0);
+        await webhookServer.stop({ reason: 'SIGINT' });
+
+        const summary = fs.readFileSync(process.env.LOG_FILE, 'utf8')
+            .trim()
+            .split('\n')
+            .map(line => JSON.parse(line))
+            .find(record => record.msg === 'Shutdown summary' && record.reason === 'SIGINT');
+        assert.equal(summary.level, 'info');
+        assert.equal(summary.timed_out, false);
+    });
+
+    it('closes notification transports only once abandoned jobs finish', async () => {
+        let closed = false;
+        const notifier = { channels: {}, channelsFor: () => [], close: () => { closed = true; } };
+        const webhookServer = createWebhookServer({ notifier });
+        const { jobQueue } = webhookServer.handlerContext;
+
+        let release;
+        const released = new Promise(resolve => {
+            release = resolve;
+        });
+        jobQueue.registerWorker('test.sending', () => released);
+        await webhookServer.start(0);
+        jobQueue.enqueue('test.sending', {});
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        const summary = await webhookServer.stop({ timeoutMs: 100 });
+        assert.equal(summary.jobs.abandoned, 1);
+        assert.equal(closed, false);
+
+        release();
+        await jobQueue.stop();
+        await new Promise(setImmediate);
+        assert.equal(closed, true);
+    });
+
+    it('returns the same summary when stopped twice', async () => {
+        const webhookServer = createWebhookServer();
+        await webhookServer.start(0);
+
+        const first = webhookServer.stop();
+        assert.equal(webhookServer.stop(), first);
+        await first;
+    });
+});
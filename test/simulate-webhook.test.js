@@ -0,0 +1,17 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempEnv } from './helpers.js';
+
+useTempEnv();
+
+const { buildSequenceEvents, SEQUENCES } = await import('../simulate-webhook.js');
+
+describe('buildSequenceEvents', () => {
+    it('attributes a recording to the session of the participant who started it', () => {
+        const events = buildSequenceEvents(SEQUENCES.interview.steps, { room: 'sim-room' });
+        const started = events.find(event => event.type === 'recording.started');
+        const interviewer = events.find(event => event.type === 'participant.joined' && event.payload.owner);
+
+        assert.equal(started.payload.started_by, interviewer.payload.session_id);
+    });
+});
@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import request from 'supertest';
+import { useTempEnv, silenceConsole, deliver } from './helpers.js';
+import { buildPayload, createEvent } from '../webhook-events.js';
+
+const dir = useTempEnv({ ARCHIVE_DESTINATION: 'local' });
+process.env.ARCHIVE_DIR = `${dir}/archive`;
+silenceConsole();
+
+const { createWebhookServer } = await import('../webhook-server.js');
+const { app, handlerContext } = createWebhookServer();
+const { recordingStore, sessionStore, jobQueue } = handlerContext;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function scenario() {
+    const room = `room-${crypto.randomUUID().substring(0, 8)}`;
+    return {
+        room,
+        recordingId: crypto.randomUUID(),
+        meetingId: crypto.randomUUID(),
+        sessionId: crypto.randomUUID(),
+        userId: `candidate-${room}`,
+        userName: 'Test Candidate',
+        owner: false,
+        ts: now() - 60
+    };
+}
+
+async function send(type, payload) {
+    const event = createEvent(type, payload);
+    await deliver(request(app), event).expect(200);
+    return event;
+}
+
+function jobsFor(recordingId) {
+    return jobQueue.list().filter(job => job.data.recording_id === recordingId).map(job => job.type);
+}
+
+describe('recording handlers', () => {
+    it('recording.started records the recording as started', async () => {
+        const state = scenario();
+        await send('recording.started', buildPayload('recording.started', state));
+
+        const recording = recordingStore.get(state.recordingId);
+        assert.equal(recording.status, 'started');
+        assert.equal(recording.room, state.room);
+    });
+
+    it('recording.ready-to-download marks it ready and queues follow-up jobs', async () => {
+        const state = scenario();
+        await send('recording.started', buildPayload('recording.started', state));
+        await send('recording.ready-to-download', buildPayload('recording.ready-to-download', { ...state, startTs: state.ts - 300 }));
+
+        const recording = recordingStore.get(state.recordingId);
+        assert.equal(recording.status, 'ready');
+        assert.equal(recording.duration, 300);
+        assert.deepEqual(jobsFor(state.recordingId).sort(), ['recording.archive', 'recording.fetch-links']);
+    });
+
+    it('a late recording.started does not move a ready recording back', async () => {
+        const state = scenario();
+        await send('recording.ready-to-download', buildPayload('recording.ready-to-download', state));
+        await send('recording.started', buildPayload('recording.started', state));
+
+        assert.equal(recordingStore.get(state.recordingId).status, 'ready');
+    });
+
+    it('recording.error records the error message', async () => {
+        const state = scenario();
+        await send('recording.error', buildPayload('recording.error', { ...state, errorMsg: 'disk full' }));
+
+        const recording = recordingStore.get(state.recordingId);
+        assert.equal(recording.status, 'error');
+        assert.equal(recording.error_msg, 'disk full');
+    });
+
+    it('events without a payload are acknowledged and ignored', async () => {
+        const before = recordingStore.all().length;
+        await deliver(request(app), { type: 'recording.started', id: crypto.randomUUID() }).expect(200);
+
+        assert.equal(recordingStore.all().length, before);
+    });
+});
+
+describe('session handlers', () => {
+    it('meeting.started and meeting.ended track the meeting', async () => {
+        const state = scenario();
+        await send('meeting.started', buildPayload('meeting.started', { ...state, ts: state.ts - 300 }));
+        assert.equal(sessionStore.meetings.get(state.meetingId).status, 'started');
+
+        await send('meeting.ended', buildPayload('meeting.ended', { ...state, startTs: state.ts - 300 }));
+        const meeting = sessionStore.meetings.get(state.meetingId);
+        assert.equal(meeting.status, 'ended');
+        assert.equal(meeting.duration, 300);
+    });
+
+    it('participant.joined and participant.left track the participant', async () => {
+        const state = scenario();
+        await send('participant.joined', buildPayload('participant.joined', { ...state, ts: state.ts - 120 }));
+        assert.equal(sessionStore.participants.get(state.sessionId).status, 'joined');
+
+        await send('participant.left', buildPayload('participant.left', { ...state, startTs: state.ts - 120 }));
+        const participant = sessionStore.participants.get(state.sessionId);
+        assert.equal(participant.status, 'left');
+        assert.equal(participant.left_at, state.ts);
+        assert.equal(participant.duration, 120);
+    });
+
+    it('waiting-participant.* tracks the waiting room', async () => {
+        const { room } = scenario();
+        const id = crypto.randomUUID();
+
+        await send('waiting-participant.joined', { room, id, user_name: 'Guest', joined_at: now() });
+        assert.equal(sessionStore.waitingParticipants.get(id).status, 'waiting');
+
+        await send('waiting-participant.left', { room, id, user_name: 'Guest' });
+        assert.equal(sessionStore.waitingParticipants.get(id).status, 'left');
+    });
+
+    it('transcript.* tracks transcripts', async () => {
+        const { room } = scenario();
+        const id = crypto.randomUUID();
+
+        await send('transcript.started', { room_name: room, id, mtg_session_id: 'session-1' });
+        assert.equal(sessionStore.transcripts.get(id).status, 'started');
+
+        await send('transcript.ready-to-download', { room_name: room, id, duration: 90 });
+        assert.equal(sessionStore.transcripts.get(id).status, 'ready');
+
+        await send('transcript.error', { room_name: room, id, error_msg: 'no audio' });
+        assert.equal(sessionStore.transcripts.get(id).error_msg, 'no audio');
+    });
+
+    it('streaming.* tracks live streams', async () => {
+        const { room } = scenario();
+        const instanceId = crypto.randomUUID();
+
+        for (const action of ['started', 'updated', 'ended']) {
+            await send(`streaming.${action}`, { room, instance_id: instanceId });
+            assert.equal(sessionStore.streams.get(instanceId).status, action);
+        }
+
+        await send('streaming.error', { room, error_msg: 'rtmp failed' });
+        assert.equal(sessionStore.streams.get(room).error_msg, 'rtmp failed');
+    });
+});
+
+describe('event log', () => {
+    it('keeps every delivery, including unknown event types', async () => {
+        const { room } = scenario();
+        const event = await send('dialout.connected', { room });
+
+        assert.equal(sessionStore.events.get(event.id).type, 'dialout.connected');
+        assert.deepEqual(sessionStore.eventsForRoom(room).map(stored => stored.type), ['dialout.connected']);
+    });
+});
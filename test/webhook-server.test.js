@@ -0,0 +1,266 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import request from 'supertest';
+import { useTempEnv, silenceConsole, deliver } from './helpers.js';
+import { buildPayload, createEvent } from '../webhook-events.js';
+
+const secret = crypto.randomBytes(32).toString('base64');
+
+const dir = useTempEnv({
+    DAILY_WEBHOOK_SECRET: secret,
+    WEBHOOK_REQUIRE_SIGNATURE: 'true',
+    ADMIN_API_TOKEN: 'admin-token'
+});
+silenceConsole();
+
+const { createWebhookServer } = await import('../webhook-server.js');
+const { app, handlerContext } = createWebhookServer();
+const { JOB_STATUS } = await import('../job-queue.js');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function recordingEvent(type, { room = 'room-a', recordingId = crypto.randomUUID(), ts = now() - 60 } = {}) {
+    return createEvent(type, buildPayload(type, { room, recordingId, ts, startTs: ts - 300 }));
+}
+
+describe('status routes', () => {
+    it('GET /health reports healthy', async () => {
+        const response = await request(app).get('/health').expect(200);
+        assert.equal(response.body.status, 'healthy');
+    });
+
+    it('GET /test confirms the server is running', async () => {
+        const response = await request(app).get('/test').expect(200);
+        assert.equal(response.body.message, 'Webhook server is running');
+    });
+
+    it('answers Daily verification requests on / and /webhook', async () => {
+        await request(app).get('/').expect(200);
+        await request(app).get('/webhook').expect(200);
+    });
+
+    it('rejects other methods on /', async () => {
+        await request(app).put('/').expect(405);
+    });
+});
+
+describe('POST /webhook', () => {
+    it('accepts a signed delivery', async () => {
+        const event = recordingEvent('recording.started');
+        const response = await deliver(request(app), event, { secret }).expect(200);
+
+        assert.deepEqual(response.body, { status: 'received' });
+        assert.equal(handlerContext.recordingStore.get(event.payload.recording_id).status, 'started');
+    });
+
+    it('accepts signed deliveries to the root path', async () => {
+        const event = recordingEvent('recording.started');
+        await deliver(request(app), event, { secret, path: '/' }).expect(200);
+
+        assert.ok(handlerContext.recordingStore.get(event.payload.recording_id));
+    });
+
+    it('rejects unsigned deliveries in strict mode', async () => {
+        const response = await deliver(request(app), recordingEvent('recording.started')).expect(401);
+        assert.equal(response.body.reason, 'missing_signature');
+    });
+
+    it('rejects deliveries signed with another secret', async () => {
+        const otherSecret = crypto.randomBytes(32).toString('base64');
+        const response = await deliver(request(app), recordingEvent('recording.started'), { secret: otherSecret }).expect(401);
+        assert.equal(response.body.reason, 'invalid_signature');
+    });
+
+    it('rejects replayed deliveries outside the timestamp tolerance', async () => {
+        const response = await deliver(request(app), recordingEvent('recording.started'), {
+            secret,
+            timestamp: now() - 60 * 60
+        }).expect(401);
+        assert.equal(response.body.reason, 'stale_timestamp');
+    });
+
+    it('acknowledges duplicate deliveries without handling them again', async () => {
+        const event = recordingEvent('recording.error');
+        await deliver(request(app), event, { secret }).expect(200);
+
+        const response = await deliver(request(app), event, { secret }).expect(200);
+        assert.equal(response.body.duplicate, true);
+    });
+
+    it('answers 400 for a signed body that is not JSON', async () => {
+        const response = await deliver(request(app), 'not json', { secret }).expect(400);
+        assert.equal(response.body.error, 'Invalid JSON');
+    });
+
+    it('answers 400 for a body that is not JSON on the root path too', async () => {
+        const response = await deliver(request(app), 'not json', { secret, path: '/' }).expect(400);
+        assert.equal(response.body.error, 'Invalid JSON');
+    });
+
+    it('answers 400 without storing events that are not objects with a type', async () => {
+        for (const body of [null, [], { payload: { room: 'untyped-room' } }]) {
+            const response = await deliver(request(app), body, { secret }).expect(400);
+            assert.equal(response.body.error, 'Invalid event');
+        }
+
+        await request(app).get('/rooms/untyped-room/timeline').expect(404);
+    });
+});
+
+describe('recording routes', () => {
+    const room = `room-${crypto.randomUUID().substring(0, 8)}`;
+    const older = recordingEvent('recording.ready-to-download', { room, ts: now() - 3600 });
+    const newer = recordingEvent('recording.started', { room, ts: now() - 60 });
+
+    it('lists recordings newest first with filters', async () => {
+        await deliver(request(app), older, { secret }).expect(200);
+        await deliver(request(app), newer, { secret }).expect(200);
+
+        const all = await request(app).get('/recordings').query({ room }).expect(200);
+        assert.equal(all.body.total_count, 2);
+        assert.deepEqual(all.body.data.map(recording => recording.recording_id),
+            [newer.payload.recording_id, older.payload.recording_id]);
+
+        const ready = await request(app).get('/recordings').query({ room, status: 'ready' }).expect(200);
+        assert.deepEqual(ready.body.data.map(recording => recording.recording_id), [older.payload.recording_id]);
+
+        const page = await request(app).get('/recordings')
+            .query({ room, limit: 1, starting_after: newer.payload.recording_id })
+            .expect(200);
+        assert.deepEqual(page.body.data.map(recording => recording.recording_id), [older.payload.recording_id]);
+    });
+
+    it('rejects invalid filters', async () => {
+        await request(app).get('/recordings').query({ limit: 500 }).expect(400);
+        await request(app).get('/recordings').query({ since: 'yesterday-ish' }).expect(400);
+    });
+
+    it('GET /recordings/:id returns one recording or 404', async () => {
+        const response = await request(app).get(`/recordings/${older.payload.recording_id}`).expect(200);
+        assert.equal(response.body.status, 'ready');
+
+        await request(app).get('/recordings/no-such-recording').expect(404);
+    });
+
+    it('GET /rooms/:room/recordings lists one room', async () => {
+        const response = await request(app).get(`/rooms/${room}/recordings`).expect(200);
+        assert.equal(response.body.total_count, 2);
+        assert.ok(response.body.data.every(recording => recording.room === room));
+    });
+
+    it('GET /rooms/:room/timeline rebuilds the room history or 404s', async () => {
+        const response = await request(app).get(`/rooms/${room}/timeline`).expect(200);
+        assert.equal(response.body.room, room);
+        assert.equal(response.body.recordings.length, 2);
+
+        await request(app).get('/rooms/never-used/timeline').expect(404);
+    });
+
+    it('GET /rooms/:room/timeline copes with stored events that have no type', async () => {
+        // Recorded before deliveries were validated
+        handlerContext.sessionStore.events.upsert('untyped-event', { room: 'legacy-room', payload: { room: 'legacy-room' } });
+
+        const response = await request(app).get('/rooms/legacy-room/timeline').expect(200);
+        assert.equal(response.body.entries[0].description, 'Unknown event');
+    });
+});
+
+describe('admin routes', () => {
+    const auth = { Authorization: 'Bearer admin-token' };
+
+    it('require ADMIN_API_TOKEN', async () => {
+        await request(app).get('/admin/jobs').expect(401);
+        await request(app).get('/admin/jobs').set({ Authorization: 'Bearer wrong' }).expect(401);
+    });
+
+    it('are refused when no ADMIN_API_TOKEN is set', async () => {
+        const { app: open } = createWebhookServer({ adminToken: '' });
+        await request(open).get('/admin/jobs').expect(404);
+        await request(open).get('/admin/jobs').set({ Authorization: 'Bearer ' }).expect(404);
+        await request(open).post('/admin/jobs/no-such-job/requeue').expect(404);
+    });
+
+    it('GET /admin/jobs lists jobs with counts', async () => {
+        const response = await request(app).get('/admin/jobs').set(auth).expect(200);
+        assert.ok(response.body.counts);
+        assert.ok(Array.isArray(response.body.data));
+    });
+
+    it('GET /admin/jobs/:id returns one job or 404', async () => {
+        const job = handlerContext.jobQueue.enqueue('test.noop', {});
+        const response = await request(app).get(`/admin/jobs/${job.id}`).set(auth).expect(200);
+        assert.equal(response.body.type, 'test.noop');
+
+        await request(app).get('/admin/jobs/no-such-job').set(auth).expect(404);
+    });
+
+    it('POST /admin/jobs/:id/requeue revives a dead job', async () => {
+        const job = handlerContext.jobQueue.enqueue('test.unregistered', {}, { maxAttempts: 1 });
+        await handlerContext.jobQueue.run(job);
+        assert.equal(handlerContext.jobQueue.get(job.id).status, JOB_STATUS.DEAD);
+
+        const dead = await request(app).get('/admin/jobs').query({ status: 'dead' }).set(auth).expect(200);
+        assert.ok(dead.body.data.some(deadJob => deadJob.id === job.id));
+
+        const response = await request(app).post(`/admin/jobs/${job.id}/requeue`).set(auth).expect(200);
+        assert.equal(response.body.status, JOB_STATUS.PENDING);
+        assert.equal(response.body.attempts, 0);
+
+        await request(app).post('/admin/jobs/no-such-job/requeue').set(auth).expect(404);
+    });
+});
+
+describe('createWebhookServer', () => {
+    it('takes its settings from options instead of the environment', async () => {
+        const otherSecret = crypto.randomBytes(32).toString('base64');
+        const logFile = path.join(dir, 'embedded', 'webhooks.log');
+        const embedded = createWebhookServer({ secret: otherSecret, logFile, adminToken: 'other-token' });
+
+        await deliver(request(embedded.app), recordingEvent('recording.started'), { secret: otherSecret }).expect(200);
+        await deliver(request(embedded.app), recordingEvent('recording.started'), { secret }).expect(401);
+        await request(embedded.app).get('/admin/jobs').set({ Authorization: 'Bearer other-token' }).expect(200);
+        await request(embedded.app).get('/admin/jobs').set({ Authorization: 'Bearer admin-token' }).expect(401);
+
+        assert.match(fs.readFileSync(logFile, 'utf8'), /"msg":"Webhook received","event_type":"recording.started"/);
+        assert.equal(embedded.log, embedded.logger);
+    });
+
+    it('uses the Daily client it is given', async () => {
+        const dailyClient = {
+            getRecording: async id => ({ id, download_link: `https://example.com/${id}.mp4` })
+        };
+        const embedded = createWebhookServer({ dailyClient });
+
+        const url = await embedded.handlerContext.daily.getRecordingDownloadUrl('given-client');
+        assert.equal(url, 'https://example.com/given-client.mp4');
+    });
+
+    it('only listens once started and stops cleanly', async () => {
+        const embedded = createWebhookServer();
+        const server = await embedded.start(0);
+
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/health`);
+        assert.equal(response.status, 200);
+
+        await embedded.stop();
+        assert.equal(server.listening, false);
+        assert.equal(embedded.handlerContext.jobQueue.started, false);
+    });
+
+    it('rejects start() when the port is taken', async () => {
+        const first = createWebhookServer();
+        const server = await first.start(0);
+
+        await assert.rejects(createWebhookServer().start(server.address().port), /EADDRINUSE/);
+        await first.stop();
+    });
+
+    it('still default-exports an Express app', async () => {
+        const { default: defaultApp } = await import('../webhook-server.js');
+        const response = await request(defaultApp).get('/health').expect(200);
+        assert.equal(response.body.status, 'healthy');
+    });
+});
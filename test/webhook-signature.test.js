@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { useTempEnv, silenceConsole } from './helpers.js';
+
+useTempEnv();
+silenceConsole();
+
+const { verifyWebhookSignature } = await import('../webhook-server.js');
+
+const secret = crypto.randomBytes(32).toString('base64');
+const body = Buffer.from(JSON.stringify({ type: 'recording.started', payload: { recording_id: 'rec-1' } }));
+
+function sign(content, key = Buffer.from(secret, 'base64'), encoding = 'base64') {
+    return crypto.createHmac('sha256', key).update(content).digest(encoding);
+}
+
+describe('verifyWebhookSignature', () => {
+    it('accepts a base64 signature made with the decoded secret', () => {
+        assert.equal(verifyWebhookSignature(body, sign(body), secret), true);
+    });
+
+    it('accepts hex signatures, with or without a sha256= prefix', () => {
+        const hex = sign(body, Buffer.from(secret, 'base64'), 'hex');
+        assert.equal(verifyWebhookSignature(body, hex, secret), true);
+        assert.equal(verifyWebhookSignature(body, `sha256=${hex}`, secret), true);
+    });
+
+    it('accepts signatures made with the secret as plain text', () => {
+        const plainSecret = 'not base64!';
+        assert.equal(verifyWebhookSignature(body, sign(body, Buffer.from(plainSecret)), plainSecret), true);
+    });
+
+    it('covers the timestamp when one is sent', () => {
+        const timestamp = '1700000000';
+        const signature = sign(Buffer.concat([Buffer.from(`${timestamp}.`), body]));
+
+        assert.equal(verifyWebhookSignature(body, signature, secret, timestamp), true);
+        assert.equal(verifyWebhookSignature(body, signature, secret, '1700000001'), false);
+        assert.equal(verifyWebhookSignature(body, signature, secret), false);
+    });
+
+    it('rejects signatures made with another secret', () => {
+        const otherKey = crypto.randomBytes(32);
+        assert.equal(verifyWebhookSignature(body, sign(body, otherKey), secret), false);
+    });
+
+    it('rejects signatures over a modified body', () => {
+        const tampered = Buffer.from(body.toString().replace('rec-1', 'rec-2'));
+        assert.equal(verifyWebhookSignature(tampered, sign(body), secret), false);
+    });
+
+    it('rejects a missing signature or secret', () => {
+        assert.equal(verifyWebhookSignature(body, undefined, secret), false);
+        assert.equal(verifyWebhookSignature(body, '', secret), false);
+        assert.equal(verifyWebhookSignature(body, sign(body), undefined), false);
+        assert.equal(verifyWebhookSignature(body, sign(body), ''), false);
+    });
+
+    it('rejects signatures of the wrong length without throwing', () => {
+        const digest = Buffer.from(sign(body), 'base64');
+        const truncated = digest.subarray(0, 16).toString('base64');
+        const extended = Buffer.concat([digest, Buffer.alloc(16)]).toString('base64');
+
+        assert.equal(verifyWebhookSignature(body, truncated, secret), false);
+        assert.equal(verifyWebhookSignature(body, extended, secret), false);
+        assert.equal(verifyWebhookSignature(body, 'abc', secret), false);
+    });
+});
@@ -0,0 +1,70 @@
+// Whether an event type matches a handler pattern: the exact type, or a
+// whole family for patterns ending in ".*"
+export function matchesEventType(pattern, type) {
+    return pattern.endsWith('.*')
+        ? typeof type === 'string' && type.startsWith(pattern.slice(0, -1))
+        : pattern === type;
+}
+
+// Routes parsed webhook events to the handlers registered for their type.
+// A pattern ending in ".*" matches a whole event family, e.g. "participant.*".
+// Handlers are called as handler(event, context) and may be async.
+class WebhookDispatcher {
+    constructor() {
+        this.handlers = new Map();
+        this.fallback = null;
+    }
+
+    register(pattern, handler) {
+        if (!this.handlers.has(pattern)) {
+            this.handlers.set(pattern, []);
+        }
+        this.handlers.get(pattern).push(handler);
+        return this;
+    }
+
+    // Register a { pattern: handler } map, as exported by handler modules
+    registerAll(handlers) {
+        for (const [pattern, handler] of Object.entries(handlers)) {
+            this.register(pattern, handler);
+        }
+        return this;
+    }
+
+    // Called for event types no handler is registered for
+    setFallback(handler) {
+        this.fallback = handler;
+        return this;
+    }
+
+    handlersFor(type) {
+        const matched = [];
+
+        for (const [pattern, handlers] of this.handlers) {
+            if (matchesEventType(pattern, type)) {
+                matched.push(...handlers);
+            }
+        }
+
+        return matched;
+    }
+
+    // Run every matching handler in registration order; returns whether any matched
+    async dispatch(event, context) {
+        const handlers = this.handlersFor(event.type);
+
+        if (handlers.length === 0) {
+            if (this.fallback) {
+                await this.fallback(event, context);
+            }
+            return false;
+        }
+
+        for (const handler of handlers) {
+            await handler(event, context);
+        }
+        return true;
+    }
+}
+
+export default WebhookDispatcher;
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+
+// Builders for Daily.co webhook deliveries, shared by the mock Daily API and
+// the webhook simulator so both send what webhook-server.js will see in
+// production.
+
+// Sign a delivery the way Daily does: base64 HMAC-SHA256 of
+// "<timestamp>.<body>". Daily's secrets are base64 and used decoded;
+// anything else is used as plain text, matching verifyWebhookSignature.
+export function signWebhookBody(body, secret, timestamp) {
+    const key = secret.length % 4 === 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(secret)
+        ? Buffer.from(secret, 'base64')
+        : Buffer.from(secret, 'utf8');
+
+    return crypto
+        .createHmac('sha256', key)
+        .update(`${timestamp}.${body}`)
+        .digest('base64');
+}
+
+// Headers for a delivery of body; omit secret for an unsigned delivery
+export function getWebhookHeaders(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Webhook-Timestamp': String(timestamp)
+    };
+    if (secret) {
+        headers['X-Webhook-Signature'] = signWebhookBody(body, secret, timestamp);
+    }
+    return headers;
+}
+
+// Wrap a payload in Daily's event envelope
+export function createEvent(type, payload, { id, eventTs = Date.now() / 1000 } = {}) {
+    return {
+        version: '1.0.0',
+        type,
+        id: id || `${type.replace(/\W/g, '-')}-${crypto.randomUUID()}`,
+        payload,
+        event_ts: eventTs
+    };
+}
+
+// Realistic payloads by event type. Each builder takes the scenario state:
+// { room, recordingId, meetingId, sessionId, userId, userName, owner,
+//   ts, startTs, errorMsg }
+// ts is when the event happens (unix seconds); for ending events startTs is
+// when the recording, meeting or participant session began.
+export const PAYLOAD_BUILDERS = {
+    // Daily reports who started the recording by their session id
+    'recording.started': ({ room, recordingId, ts, sessionId }) => ({
+        action: 'start-cloud-recording',
+        recording_id: recordingId,
+        room_name: room,
+        start_ts: ts,
+        started_by: sessionId || crypto.randomUUID(),
+        layout: { preset: 'default' }
+    }),
+
+    'recording.ready-to-download': ({ room, recordingId, ts, startTs = ts - 300 }) => ({
+        type: 'cloud',
+        recording_id: recordingId,
+        room_name: room,
+        start_ts: startTs,
+        status: 'finished',
+        max_participants: 2,
+        duration: ts - startTs,
+        s3_key: `recordings/${room}/${startTs}.mp4`
+    }),
+
+    'recording.error': ({ room, recordingId, ts, errorMsg }) => ({
+        // Spelled the way Daily sends it
+        action: 'clourd-recording-err',
+        recording_id: recordingId,
+        room_name: room,
+        instance_id: crypto.randomUUID(),
+        error_msg: errorMsg || 'Recording failed: simulated error',
+        timestamp: ts
+    }),
+
+    'meeting.started': ({ room, meetingId, ts }) => ({
+        meeting_id: meetingId,
+        room,
+        start_ts: ts
+    }),
+
+    'meeting.ended': ({ room, meetingId, ts, startTs = ts - 300 }) => ({
+        meeting_id: meetingId,
+        room,
+        start_ts: startTs,
+        end_ts: ts
+    }),
+
+    'participant.joined': ({ room, sessionId, userId, userName, owner, ts }) => ({
+        room,
+        session_id: sessionId,
+        user_id: userId,
+        user_name: userName,
+        owner: Boolean(owner),
+        joined_at: ts,
+        will_eject_at: 0,
+        permissions: {
+            hasPresence: true,
+            canSend: true,
+            canAdmin: false
+        }
+    }),
+
+    'participant.left': ({ room, sessionId, userId, userName, owner, ts, startTs = ts - 300 }) => ({
+        room,
+        session_id: sessionId,
+        user_id: userId,
+        user_name: userName,
+        owner: Boolean(owner),
+        joined_at: startTs,
+        duration: ts - startTs
+    })
+};
+
+export const SIMULATED_EVENT_TYPES = Object.keys(PAYLOAD_BUILDERS);
+
+export function buildPayload(type, state) {
+    const builder = PAYLOAD_BUILDERS[type];
+    if (!builder) {
+        throw new Error(`No payload builder for event type ${type} (expected one of: ${SIMULATED_EVENT_TYPES.join(', ')})`);
+    }
+    return builder(state);
+}
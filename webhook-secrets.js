@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_GRACE_SECS = 60 * 60;
+
+// How often a running server checks the secrets file for changes
+export const SECRETS_POLL_INTERVAL_MS = 2000;
+
+export function getSecretsFile() {
+    return process.env.WEBHOOK_SECRETS_FILE || './data/webhook-secrets.json';
+}
+
+// Read every secret entry; a missing file just means no rotation has happened yet
+export function readSecretsFile(filePath = getSecretsFile()) {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(content.secrets) ? content.secrets : [];
+}
+
+// Write atomically so a running server never reads a half-written file
+export function writeSecretsFile(secrets, filePath = getSecretsFile()) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ secrets }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+}
+
+function isActive(entry, now = Date.now()) {
+    return !entry.expires_at || Date.parse(entry.expires_at) > now;
+}
+
+// Make newSecret the current secret. Secrets that were active before stay
+// valid for graceSecs so deliveries signed with them are still accepted.
+// Expired entries are kept: they stop a stale DAILY_WEBHOOK_SECRET in a
+// long-running server's environment from being treated as active again.
+export function addWebhookSecret(newSecret, { previousSecret, graceSecs = DEFAULT_GRACE_SECS, filePath = getSecretsFile() } = {}) {
+    const now = Date.now();
+    const graceExpiry = new Date(now + graceSecs * 1000).toISOString();
+
+    const secrets = readSecretsFile(filePath).filter(entry => entry.secret !== newSecret);
+
+    if (previousSecret && previousSecret !== newSecret && !secrets.some(entry => entry.secret === previousSecret)) {
+        secrets.push({ secret: previousSecret, created_at: new Date(now).toISOString(), expires_at: null });
+    }
+
+    for (const entry of secrets) {
+        if (isActive(entry, now) && (!entry.expires_at || entry.expires_at > graceExpiry)) {
+            entry.expires_at = graceExpiry;
+        }
+    }
+
+    secrets.unshift({ secret: newSecret, created_at: new Date(now).toISOString(), expires_at: null });
+
+    writeSecretsFile(secrets, filePath);
+    return secrets;
+}
+
+// The set of secrets the webhook server accepts, reloaded whenever the
+// secrets file changes so rotation needs no restart
+export class WebhookSecrets {
+    constructor({ envSecret = process.env.DAILY_WEBHOOK_SECRET, filePath = getSecretsFile() } = {}) {
+        this.envSecret = envSecret === 'your_webhook_secret_here' ? null : envSecret;
+        this.filePath = filePath;
+        this.entries = [];
+
+        this.reload();
+    }
+
+    reload() {
+        try {
+            this.entries = readSecretsFile(this.filePath);
+        } catch (error) {
+            // Keep the previous secrets rather than locking out every delivery
+            console.error(`Error reading webhook secrets from ${this.filePath}:`, error.message);
+        }
+    }
+
+    // Poll the file; rotation replaces it with a rename, which fs.watch can miss
+    watch(onReload) {
+        fs.watchFile(this.filePath, { interval: SECRETS_POLL_INTERVAL_MS, persistent: false }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) {
+                return;
+            }
+
+            this.reload();
+            if (onReload) {
+                onReload(this);
+            }
+        });
+    }
+
+    unwatch() {
+        fs.unwatchFile(this.filePath);
+    }
+
+    getActive() {
+        const now = Date.now();
+        const secrets = this.entries
+            .filter(entry => isActive(entry, now))
+            .map(entry => entry.secret);
+
+        // .env is only read at startup, so once a secret appears in the file
+        // the file decides whether it is still valid
+        if (this.envSecret && !this.entries.some(entry => entry.secret === this.envSecret)) {
+            secrets.push(this.envSecret);
+        }
+
+        return secrets;
+    }
+}
@@ -1,355 +1,823 @@
 import express from 'express';
 import crypto from 'crypto';
-import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import axios from 'axios';
+import DailyClient from './daily-client.js';
+import RecordingStore, { RECORDING_STATUS } from './recording-store.js';
+import DeliveryDeduplicator from './delivery-dedup.js';
+import { WebhookSecrets, getSecretsFile } from './webhook-secrets.js';
+import WebhookDispatcher from './webhook-dispatcher.js';
+import recordingHandlers from './recording-handlers.js';
+import SessionStore from './session-store.js';
+import sessionHandlers from './session-handlers.js';
+import { buildTimeline } from './session-timeline.js';
+import JobQueue from './job-queue.js';
+import recordingJobs from './recording-jobs.js';
+import RecordingArchiver from './recording-archiver.js';
+import createLogger from './logger.js';
+import MetricsRegistry, { METRICS_CONTENT_TYPE } from './metrics.js';
+import HealthChecks from './health-checks.js';
+import Notifier from './notifier.js';
+import { parseTimestamp } from './cli-flags.js';
 
-// Load environment variables
-dotenv.config();
+const DEFAULT_TIMESTAMP_TOLERANCE_SECS = 300;
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 30 * 1000;
 
-const app = express();
-const PORT = process.env.WEBHOOK_PORT || 3001;
-const LOG_FILE = process.env.LOG_FILE || './recording_events.log';
-const WEBHOOK_SECRET = process.env.DAILY_WEBHOOK_SECRET;
-
-// Middleware to parse JSON and raw body for signature verification
-app.use('/webhook', express.raw({ type: 'application/json' }));
-app.use(express.json());
-
-// Ensure log file exists
-const logDir = path.dirname(LOG_FILE);
-if (!fs.existsSync(logDir)) {
-    fs.mkdirSync(logDir, { recursive: true });
+// Distinct event_type label values before the rest are counted as "other"
+const MAX_EVENT_TYPE_LABELS = 50;
+
+// Fields that identify an event in log lines
+function eventFields(event) {
+    const payload = event?.payload || {};
+    return {
+        event_type: event?.type,
+        event_id: event?.id,
+        room: payload.room_name || payload.room,
+        recording_id: payload.recording_id
+    };
 }
 
-// Function to write logs with timestamp
-function writeLog(message) {
-    const timestamp = new Date().toISOString();
-    const logEntry = `[${timestamp}] ${message}\n`;
-    
-    console.log(logEntry.trim());
+// Only a JSON object with a string type is deduplicated, stored or dispatched
+function isWebhookEvent(event) {
+    return event !== null && typeof event === 'object' && !Array.isArray(event) && typeof event.type === 'string';
+}
+
+// Resolve true once promise settles, or false if timeoutMs passes first
+function settlesWithin(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), Math.max(0, timeoutMs));
+    });
+
+    return Promise.race([promise.then(() => true, () => true), timeout])
+        .finally(() => clearTimeout(timer));
+}
+
+// Secrets from WebhookSetup.generateWebhookSecret are base64 and Daily signs
+// with the decoded bytes; the raw string is still tried for plain-text secrets
+function getSecretKeys(secret) {
+    const keys = [Buffer.from(secret, 'utf8')];
     
-    try {
-        fs.appendFileSync(LOG_FILE, logEntry);
-    } catch (error) {
-        console.error('Error writing to log file:', error);
+    if (secret.length % 4 === 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(secret)) {
+        keys.unshift(Buffer.from(secret, 'base64'));
     }
+    
+    return keys;
+}
+
+// Decode a signature header sent as hex or base64, with or without "sha256="
+function decodeSignature(signature) {
+    const value = signature.startsWith('sha256=') 
+        ? signature.slice(7) 
+        : signature;
+    
+    return /^[0-9a-f]{64}$/i.test(value)
+        ? Buffer.from(value, 'hex')
+        : Buffer.from(value, 'base64');
 }
 
 // Function to verify webhook signature
-function verifyWebhookSignature(payload, signature, secret) {
+function verifyWebhookSignature(payload, signature, secret, timestamp) {
     if (!secret || !signature) {
         return false;
     }
     
-    const expectedSignature = crypto
-        .createHmac('sha256', secret)
-        .update(payload)
-        .digest('hex');
+    // Timestamped deliveries sign "<timestamp>.<body>", so the timestamp
+    // cannot be changed without invalidating the signature
+    const signedContent = timestamp
+        ? Buffer.concat([Buffer.from(`${timestamp}.`), Buffer.from(payload)])
+        : payload;
     
-    // Daily.co sends signature in format "sha256=<hash>"
-    const actualSignature = signature.startsWith('sha256=') 
-        ? signature.slice(7) 
-        : signature;
+    const actualSignature = decodeSignature(signature);
     
-    return crypto.timingSafeEqual(
-        Buffer.from(expectedSignature, 'hex'),
-        Buffer.from(actualSignature, 'hex')
-    );
+    return getSecretKeys(secret).some(key => {
+        const expectedSignature = crypto
+            .createHmac('sha256', key)
+            .update(signedContent)
+            .digest();
+        
+        // timingSafeEqual throws on buffers of different lengths
+        return actualSignature.length === expectedSignature.length
+            && crypto.timingSafeEqual(expectedSignature, actualSignature);
+    });
 }
 
-// Function to get recording download URL
-async function getRecordingDownloadUrl(recordingId) {
-    try {
-        const response = await axios.get(`https://api.daily.co/v1/recordings/${recordingId}`, {
-            headers: {
-                'Authorization': `Bearer ${process.env.DAILY_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
-        });
-        
-        return response.data.download_link || null;
-    } catch (error) {
-        console.error('Error fetching recording details:', error.response?.data || error.message);
-        return null;
+// Compare an Authorization header with the admin token in constant time;
+// hashing both first gives timingSafeEqual buffers of the same length
+function isAdminAuthorization(header, adminToken) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(header || ''), digest(`Bearer ${adminToken}`));
+}
+
+// Check a delivery timestamp against the tolerance window; returns a
+// rejection reason or null when the delivery is fresh
+function checkWebhookTimestamp(timestamp, toleranceSecs = DEFAULT_TIMESTAMP_TOLERANCE_SECS) {
+    const value = Number(timestamp);
+    if (!Number.isFinite(value)) {
+        return 'invalid_timestamp';
     }
+    
+    // Accept both unix seconds and milliseconds
+    const timestampSecs = value > 1e12 ? value / 1000 : value;
+    const ageSecs = Date.now() / 1000 - timestampSecs;
+    
+    if (ageSecs > toleranceSecs) {
+        return 'stale_timestamp';
+    }
+    if (ageSecs < -toleranceSecs) {
+        return 'future_timestamp';
+    }
+    return null;
 }
 
-// Function to get recording access link
-async function getRecordingAccessLink(recordingId, validForSecs = 3600) {
-    try {
-        const response = await axios.get(`https://api.daily.co/v1/recordings/${recordingId}/access-link?valid_for_secs=${validForSecs}`, {
-            headers: {
-                'Authorization': `Bearer ${process.env.DAILY_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
-        });
-        
-        return response.data.download_link || null;
-    } catch (error) {
-        console.error('Error fetching recording access link:', error.response?.data || error.message);
-        return null;
+// Parse a time filter given as unix seconds or an ISO date
+function parseTimeFilter(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const seconds = parseTimestamp(value);
+    if (Number.isNaN(seconds)) {
+        throw new Error(`Invalid ${name}: expected unix seconds or an ISO date`);
     }
+    return seconds;
 }
 
-// Webhook endpoint
-app.post('/webhook', async (req, res) => {
-    try {
-        const signature = req.headers['x-daily-signature'] || req.headers['x-signature'];
-        const payload = req.body;
-        
-        // Debug logging
-        console.log('Webhook received with headers:', req.headers);
-        console.log('Webhook payload type:', typeof payload);
-        console.log('Webhook payload:', payload);
-        
-        // Verify webhook signature if secret is provided
-        if (WEBHOOK_SECRET && signature) {
-            const isValid = verifyWebhookSignature(payload, signature, WEBHOOK_SECRET);
-            if (!isValid) {
-                writeLog('❌ WEBHOOK ERROR: Invalid signature');
-                return res.status(401).json({ error: 'Invalid signature' });
+// Turn recording query string parameters into RecordingStore.query options
+function parseRecordingQuery(query) {
+    const limit = query.limit === undefined ? 50 : parseInt(query.limit);
+    if (Number.isNaN(limit) || limit < 1 || limit > 100) {
+        throw new Error('Invalid limit: expected a number between 1 and 100');
+    }
+
+    return {
+        status: query.status,
+        room: query.room,
+        since: parseTimeFilter(query.since, 'since'),
+        until: parseTimeFilter(query.until, 'until'),
+        limit,
+        startingAfter: query.starting_after
+    };
+}
+
+// Build the webhook server without starting it. Everything defaults to the
+// environment, so embedding apps only pass what they want to override:
+//   port, logFile, logger, secret, secretsFile, requireSignature,
+//   timestampToleranceSecs, adminToken, shutdownTimeoutMs, dailyClient,
+//   recordingStore, sessionStore, jobQueue, archiver, notifier, metrics, healthChecks
+// Returns { app, handlerContext, dispatcher, logger, metrics, healthChecks, start, startBackground, stop }
+// (logger is also returned as log);
+// mount app in another Express service and call startBackground(), or call
+// start() to listen on port.
+export function createWebhookServer({
+    port = process.env.WEBHOOK_PORT || 3001,
+    logFile = process.env.LOG_FILE || './recording_events.log',
+    logger = createLogger({ file: logFile }),
+    secret = process.env.DAILY_WEBHOOK_SECRET,
+    secretsFile = getSecretsFile(),
+    requireSignature = (process.env.WEBHOOK_REQUIRE_SIGNATURE || '').toLowerCase() === 'true',
+    timestampToleranceSecs = parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECS) || DEFAULT_TIMESTAMP_TOLERANCE_SECS,
+    adminToken = process.env.ADMIN_API_TOKEN,
+    shutdownTimeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || DEFAULT_SHUTDOWN_TIMEOUT_MS,
+    dailyClient,
+    recordingStore = new RecordingStore(),
+    sessionStore = new SessionStore(),
+    jobQueue,
+    archiver = new RecordingArchiver(),
+    notifier,
+    metrics = new MetricsRegistry(),
+    healthChecks
+} = {}) {
+    const app = express();
+    let server = null;
+
+    // Deliveries still being handled; Daily already counts a delivery as done
+    // once it has our 200, so shutdown waits for these before exiting
+    const inFlight = new Set();
+    let shutdown = null;
+    let rejectedDuringShutdown = 0;
+
+    // Daily retries deliveries, so remember which ones we have already handled
+    const deduplicator = new DeliveryDeduplicator();
+
+    // Current and not-yet-expired previous secrets; setup-webhook.js rotate-secret
+    // updates the secrets file and the running server picks it up
+    const webhookSecrets = new WebhookSecrets({ envSecret: secret, filePath: secretsFile });
+
+    // Deliveries to either path keep the exact bytes Daily signed; they are
+    // parsed in one place once the signature checks out
+    app.post(['/', '/webhook'], express.raw({ type: 'application/json' }));
+
+    // Authenticate a webhook delivery; returns null when it may be processed,
+    // otherwise the reason it was rejected
+    function authenticateWebhook(req) {
+        const signature = req.headers['x-webhook-signature'] || req.headers['x-daily-signature'] || req.headers['x-signature'];
+        const timestamp = req.headers['x-webhook-timestamp'];
+        const rawBody = Buffer.isBuffer(req.body) ? req.body : '';
+
+        if (!signature) {
+            if (requireSignature) {
+                logger.warn('Webhook rejected', { reason: 'missing_signature' });
+                return { error: 'Missing signature', reason: 'missing_signature' };
             }
+            return null;
         }
-        
-        // Parse the JSON payload only if it's a string
-        let event;
-        if (typeof payload === 'string' || Buffer.isBuffer(payload)) {
-            event = JSON.parse(payload.toString());
-        } else {
-            // If payload is already an object, use it directly
-            event = payload;
+
+        // Verify webhook signature if a secret is configured
+        const secrets = webhookSecrets.getActive();
+        if (secrets.length === 0) {
+            if (requireSignature) {
+                logger.warn('Webhook rejected', { reason: 'secret_not_configured' });
+                return { error: 'Webhook secret not configured', reason: 'secret_not_configured' };
+            }
+            return null;
         }
-        
-        // Log the parsed event
-        console.log('Parsed event:', JSON.stringify(event, null, 2));
-        
-        // Handle different recording events
-        switch (event.type) {
-            case 'recording.started':
-                handleRecordingStarted(event);
-                break;
-                
-            case 'recording.ready-to-download':
-                await handleRecordingReady(event);
-                break;
-                
-            case 'recording.error':
-                handleRecordingError(event);
-                break;
-                
-            default:
-                writeLog(`📝 WEBHOOK: Received event type: ${event.type}`);
+
+        // During rotation Daily may still sign with the previous secret
+        const isValid = secrets.some(secret => verifyWebhookSignature(rawBody, signature, secret, timestamp));
+        if (!isValid) {
+            logger.warn('Webhook rejected', { reason: 'invalid_signature' });
+            return { error: 'Invalid signature', reason: 'invalid_signature' };
         }
-        
-        // Always respond with 200 to acknowledge receipt
-        res.status(200).json({ status: 'received' });
-        
-    } catch (error) {
-        console.error('Webhook error:', error);
-        writeLog(`❌ WEBHOOK ERROR: ${error.message}`);
-        res.status(500).json({ error: 'Internal server error' });
+
+        // Checked after the signature so this only fires for genuinely signed replays
+        if (timestamp) {
+            const timestampError = checkWebhookTimestamp(timestamp, timestampToleranceSecs);
+            if (timestampError) {
+                logger.warn('Webhook rejected', { reason: timestampError, timestamp, tolerance_secs: timestampToleranceSecs });
+                return { error: 'Delivery timestamp outside tolerance window', reason: timestampError };
+            }
+        }
+
+        return null;
     }
-});
 
-// Handle recording started event
-function handleRecordingStarted(event) {
-    if (!event || !event.payload) {
-        writeLog(`❌ INVALID EVENT: Missing payload in recording.started event`);
-        console.log('Invalid event structure:', JSON.stringify(event, null, 2));
-        return;
+    // Daily REST API, used by job workers to fetch recording links
+    const daily = dailyClient || new DailyClient({ log: logger });
+
+    // Follow-up work that should not hold up the webhook response
+    const queue = jobQueue || new JobQueue({ log: logger }).registerWorkers(recordingJobs);
+
+    // Recording notifications; off until NOTIFY_CONFIG_FILE or NOTIFY_* routes something
+    const notifications = notifier || new Notifier({ log: logger });
+
+    // Everything event handlers and job workers need from the server
+    const handlerContext = {
+        log: logger,
+        recordingStore,
+        sessionStore,
+        jobQueue: queue,
+        archiver,
+        notifier: notifications,
+        daily: {
+            getRecordingDownloadUrl,
+            getRecordingAccessLink
+        }
+    };
+
+    // Readiness checks behind GET /health/ready. Probes should fail fast, so
+    // their Daily client does not retry.
+    const health = healthChecks || new HealthChecks({
+        daily: dailyClient || new DailyClient({ log: logger, maxRetries: 0, timeoutMs: 5000 }),
+        logFile: logger.file === undefined ? logFile : logger.file,
+        storePaths: [recordingStore.filePath, queue.store?.filePath, sessionStore.events?.filePath].filter(Boolean)
+    });
+
+    // Event handlers by type; other modules can register more with dispatcher.register()
+    const dispatcher = new WebhookDispatcher()
+        .registerAll(recordingHandlers)
+        .registerAll(sessionHandlers)
+        .setFallback(event => {
+            logger.info('Unhandled event type', eventFields(event));
+        });
+
+    // Prometheus metrics served at GET /metrics. Failing recordings show up as
+    //   increase(daily_webhook_deliveries_total{event_type="recording.error"}[15m]) > 0
+    const deliveries = metrics.counter({
+        name: 'daily_webhook_deliveries_total',
+        help: 'Webhook deliveries by event type and outcome',
+        labelNames: ['event_type', 'outcome']
+    });
+    // Start recording series at 0 so increase() sees the first failure
+    for (const type of Object.keys(recordingHandlers)) {
+        deliveries.inc({ event_type: type, outcome: 'processed' }, 0);
     }
-    
-    const { room_name, recording_id, started_by, start_ts } = event.payload;
-    const startTime = new Date(start_ts * 1000).toLocaleString();
-    
-    const message = `🎬 RECORDING STARTED
-    Room: ${room_name}
-    Recording ID: ${recording_id}
-    Started by: ${started_by || 'Unknown'}
-    Start time: ${startTime}`;
-    
-    writeLog(message);
-}
+    const signatureFailures = metrics.counter({
+        name: 'daily_webhook_signature_failures_total',
+        help: 'Webhook deliveries rejected by signature or timestamp checks',
+        labelNames: ['reason']
+    });
+    const parseErrors = metrics.counter({
+        name: 'daily_webhook_parse_errors_total',
+        help: 'Webhook deliveries whose body was not valid JSON or not an event object'
+    });
+    const handlingDuration = metrics.histogram({
+        name: 'daily_webhook_handling_duration_seconds',
+        help: 'Time spent handling authenticated webhook deliveries',
+        labelNames: ['event_type']
+    });
+    const dailyRequests = metrics.counter({
+        name: 'daily_api_requests_total',
+        help: 'Daily REST API calls by operation and outcome',
+        labelNames: ['operation', 'outcome']
+    });
+    const dailyFailures = metrics.counter({
+        name: 'daily_api_failures_total',
+        help: 'Failed Daily REST API calls by operation and HTTP status or error code',
+        labelNames: ['operation', 'status']
+    });
+    const dailyDuration = metrics.histogram({
+        name: 'daily_api_request_duration_seconds',
+        help: 'Daily REST API call latency',
+        labelNames: ['operation']
+    });
+
+    // Recording and job figures are read from the stores on each scrape, so
+    // they survive restarts
+    metrics.gauge({
+        name: 'daily_recordings_in_progress',
+        help: 'Recordings started but not yet ready or failed',
+        collect: gauge => gauge.set({}, recordingStore.all()
+            .filter(recording => recording.status === RECORDING_STATUS.STARTED).length)
+    });
+    metrics.gauge({
+        name: 'daily_recordings',
+        help: 'Known recordings by status',
+        labelNames: ['status'],
+        collect: gauge => {
+            for (const status of Object.values(RECORDING_STATUS)) {
+                gauge.set({ status }, recordingStore.all().filter(recording => recording.status === status).length);
+            }
+        }
+    });
+    metrics.counter({
+        name: 'daily_recorded_minutes_total',
+        help: 'Total minutes of recordings that are ready to download',
+        collect: counter => counter.set({}, recordingStore.all()
+            .filter(recording => recording.status === RECORDING_STATUS.READY)
+            .reduce((total, recording) => total + (Number(recording.duration) || 0), 0) / 60)
+    });
+    metrics.gauge({
+        name: 'daily_jobs',
+        help: 'Background jobs by status',
+        labelNames: ['status'],
+        collect: gauge => {
+            for (const [status, count] of Object.entries(queue.counts())) {
+                gauge.set({ status }, count);
+            }
+        }
+    });
 
-// Handle recording ready event
-async function handleRecordingReady(event) {
-    if (!event || !event.payload) {
-        writeLog(`❌ INVALID EVENT: Missing payload in recording.ready-to-download event`);
-        console.log('Invalid event structure:', JSON.stringify(event, null, 2));
-        return;
+    // Only event types something handles get their own label, up to a limit,
+    // so made-up types cannot grow the number of series without bound
+    const eventTypeLabels = new Set();
+    function eventTypeLabel(event) {
+        const type = event?.type;
+        if (typeof type !== 'string') {
+            return 'unknown';
+        }
+        if (!eventTypeLabels.has(type)) {
+            if (eventTypeLabels.size >= MAX_EVENT_TYPE_LABELS || dispatcher.handlersFor(type).length === 0) {
+                return 'other';
+            }
+            eventTypeLabels.add(type);
+        }
+        return type;
     }
-    
-    const { room_name, recording_id, duration, start_ts, s3_key } = event.payload;
-    const startTime = new Date(start_ts * 1000).toLocaleString();
-    const durationMinutes = Math.round(duration / 60 * 100) / 100;
-    
-    // Try to get download URL
-    const downloadUrl = await getRecordingDownloadUrl(recording_id);
-    
-    // Try to get access link (streaming URL)
-    const accessLink = await getRecordingAccessLink(recording_id);
-    
-    // Generate share URL based on s3_key
-    const shareUrl = 'Not available'; // Daily.co no longer provides share_token in the webhook payload
-    
-    const message = `✅ RECORDING STOPPED & READY
-    Room: ${room_name}
-    Recording ID: ${recording_id}
-    Duration: ${durationMinutes} minutes
-    Started: ${startTime}
-    S3 Key: ${s3_key || 'Not available'}
-    
-    📥 Download URL: ${downloadUrl || 'Not available'}
-    🎦 Streaming URL: ${accessLink || 'Not available'}`;
-    
-    writeLog(message);
-}
 
-// Handle recording error event
-function handleRecordingError(event) {
-    if (!event || !event.payload) {
-        writeLog(`❌ INVALID EVENT: Missing payload in recording.error event`);
-        console.log('Invalid event structure:', JSON.stringify(event, null, 2));
-        return;
+    // Count, time and log a Daily API call; failures are rethrown
+    async function callDaily(operation, recordingId, fn) {
+        try {
+            const result = await dailyDuration.time({ operation }, fn);
+            dailyRequests.inc({ operation, outcome: 'success' });
+            return result;
+        } catch (error) {
+            dailyRequests.inc({ operation, outcome: 'failure' });
+            dailyFailures.inc({ operation, status: error.status || error.code || 'unknown' });
+            logger.error('Daily API call failed', { operation, recording_id: recordingId, error });
+            throw error;
+        }
     }
-    
-    const { room_name, recording_id, error_msg } = event.payload;
-    
-    const message = `❌ RECORDING ERROR
-    Room: ${room_name}
-    Recording ID: ${recording_id}
-    Error: ${error_msg || 'Unknown error'}`;
-    
-    writeLog(message);
-}
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'healthy', 
-        timestamp: new Date().toISOString(),
-        logFile: LOG_FILE 
-    });
-});
+    // Function to get recording download URL
+    async function getRecordingDownloadUrl(recordingId) {
+        const recording = await callDaily('get_recording', recordingId, () => daily.getRecording(recordingId));
+        return recording.download_link || null;
+    }
 
-// Test endpoint to verify webhook is working
-app.get('/test', (req, res) => {
-    writeLog('🧪 TEST: Webhook server test endpoint accessed');
-    res.json({ 
-        message: 'Webhook server is running',
-        logFile: LOG_FILE,
-        timestamp: new Date().toISOString()
-    });
-});
+    // Function to get recording access link
+    async function getRecordingAccessLink(recordingId, validForSecs = 3600) {
+        const accessLink = await callDaily('get_recording_access_link', recordingId,
+            () => daily.getRecordingAccessLink(recordingId, validForSecs));
+        return accessLink.download_link || null;
+    }
 
-// Handle Daily.co webhook verification and events at root path
-app.all('/', async (req, res) => {
-    try {
-        // Handle GET requests (verification)
-        if (req.method === 'GET') {
-            writeLog('🔍 VERIFICATION: Daily.co webhook verification request received');
-            return res.status(200).json({ 
-                message: 'Daily.co webhook endpoint verified',
-                timestamp: new Date().toISOString()
-            });
+    // Entry point for deliveries to both /webhook and the root path. While
+    // shutting down, new deliveries get a 503 so Daily retries them later.
+    async function handleWebhookDelivery(req, res) {
+        if (shutdown) {
+            rejectedDuringShutdown++;
+            deliveries.inc({ event_type: 'unknown', outcome: 'shutting_down' });
+            res.set('Connection', 'close');
+            return res.status(503).json({ error: 'Server is shutting down' });
         }
-        
-        // Handle POST requests (actual webhook events)
-        if (req.method === 'POST') {
-            const signature = req.headers['x-daily-signature'] || req.headers['x-signature'];
+
+        const processing = processWebhookDelivery(req, res);
+        inFlight.add(processing);
+        try {
+            await processing;
+        } finally {
+            inFlight.delete(processing);
+        }
+    }
+
+    // Shared pipeline: authenticate, parse, deduplicate, then dispatch by event type
+    async function processWebhookDelivery(req, res) {
+        let event;
+        try {
             const payload = req.body;
-            
-            // Debug logging
-            console.log('Root endpoint received webhook with headers:', req.headers);
-            console.log('Root endpoint payload type:', typeof payload);
-            console.log('Root endpoint payload:', payload);
-            
-            // Verify webhook signature if secret is provided
-            if (WEBHOOK_SECRET && signature) {
-                const isValid = verifyWebhookSignature(payload, signature, WEBHOOK_SECRET);
-                if (!isValid) {
-                    writeLog('❌ WEBHOOK ERROR: Invalid signature');
-                    return res.status(401).json({ error: 'Invalid signature' });
-                }
+
+            logger.debug('Webhook delivery', { path: req.path, headers: req.headers });
+
+            const rejection = authenticateWebhook(req);
+            if (rejection) {
+                signatureFailures.inc({ reason: rejection.reason });
+                deliveries.inc({ event_type: 'unknown', outcome: 'rejected' });
+                return res.status(401).json(rejection);
             }
-            
+
             // Parse the JSON payload only if it's a string
-            let event;
+            let parseError = null;
             if (typeof payload === 'string' || Buffer.isBuffer(payload)) {
-                event = JSON.parse(payload.toString());
+                try {
+                    event = JSON.parse(payload.toString());
+                } catch (error) {
+                    parseError = error;
+                }
             } else {
                 // If payload is already an object, use it directly
                 event = payload;
             }
-            
-            // Log the parsed event
-            console.log('Root endpoint parsed event:', JSON.stringify(event, null, 2));
-            
-            writeLog(`📝 WEBHOOK EVENT RECEIVED: ${event.type}`);
-            
-            // Handle different recording events
-            switch (event.type) {
-                case 'recording.started':
-                    handleRecordingStarted(event);
-                    break;
-                    
-                case 'recording.ready-to-download':
-                    await handleRecordingReady(event);
-                    break;
-                    
-                case 'recording.error':
-                    handleRecordingError(event);
-                    break;
-                    
-                default:
-                    writeLog(`📝 WEBHOOK: Received event type: ${event.type}`);
+
+            // Every body that cannot be handled as an event is counted here
+            if (parseError || !isWebhookEvent(event)) {
+                const reason = parseError ? 'invalid_json' : 'invalid_event';
+                logger.warn('Webhook rejected', { reason, ...(parseError && { error: parseError }) });
+                parseErrors.inc();
+                deliveries.inc({ event_type: 'unknown', outcome: reason });
+                return res.status(400).json({ error: parseError ? 'Invalid JSON' : 'Invalid event' });
+            }
+
+            logger.info('Webhook received', eventFields(event));
+            logger.debug('Webhook event', { event });
+
+            // Acknowledge retried deliveries without handling them again
+            if (!deduplicator.claim(event)) {
+                logger.info('Duplicate delivery', { ...eventFields(event), dedup_key: deduplicator.keyFor(event) });
+                deliveries.inc({ event_type: eventTypeLabel(event), outcome: 'duplicate' });
+                return res.status(200).json({ status: 'received', duplicate: true });
             }
-            
+
+            await handlingDuration.time({ event_type: eventTypeLabel(event) }, async () => {
+                sessionStore.recordEvent(event);
+                await dispatcher.dispatch(event, handlerContext);
+            });
+
             // Always respond with 200 to acknowledge receipt
-            return res.status(200).json({ status: 'received' });
+            deliveries.inc({ event_type: eventTypeLabel(event), outcome: 'processed' });
+            res.status(200).json({ status: 'received' });
+
+        } catch (error) {
+            logger.error('Webhook handling failed', { ...eventFields(event), error });
+            deliveries.inc({ event_type: eventTypeLabel(event), outcome: 'failed' });
+            deduplicator.release(event);
+            res.status(500).json({ error: 'Internal server error' });
         }
-        
+    }
+
+    // Webhook endpoint
+    app.post('/webhook', handleWebhookDelivery);
+
+    // Health check endpoint
+    app.get('/health', (req, res) => {
+        res.json({
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            logFile
+        });
+    });
+
+    // Liveness: the process is up and answering requests
+    app.get('/health/live', (req, res) => {
+        res.json({
+            status: 'alive',
+            uptime_secs: Math.round(process.uptime()),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Readiness: 200 only when the log, stores, Daily API key and registered
+    // webhook all check out, so a load balancer can hold traffic until then
+    app.get('/health/ready', async (req, res) => {
+        const timestamp = new Date().toISOString();
+        if (shutdown) {
+            return res.status(503).json({ status: 'shutting_down', timestamp });
+        }
+
+        try {
+            const { ready, checks } = await health.run();
+            res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', timestamp, checks });
+        } catch (error) {
+            logger.error('Readiness check failed', { error });
+            res.status(503).json({ status: 'not_ready', timestamp, error: error.message });
+        }
+    });
+
+    // Prometheus scrape endpoint
+    app.get('/metrics', (req, res) => {
+        res.set('Content-Type', METRICS_CONTENT_TYPE);
+        res.send(metrics.render());
+    });
+
+    // Test endpoint to verify webhook is working
+    app.get('/test', (req, res) => {
+        logger.info('Test endpoint accessed');
+        res.json({
+            message: 'Webhook server is running',
+            logFile,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // List recordings received through webhooks
+    app.get('/recordings', (req, res) => {
+        try {
+            res.json(recordingStore.query(parseRecordingQuery(req.query)));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Get a single recording received through webhooks
+    app.get('/recordings/:id', (req, res) => {
+        const recording = recordingStore.get(req.params.id);
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        res.json(recording);
+    });
+
+    // List recordings received through webhooks for one room
+    app.get('/rooms/:room/recordings', (req, res) => {
+        try {
+            const options = parseRecordingQuery(req.query);
+            res.json(recordingStore.query({ ...options, room: req.params.room }));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Interview audit trail for one room, rebuilt from received events
+    app.get('/rooms/:room/timeline', (req, res) => {
+        const timeline = buildTimeline(req.params.room, { sessionStore, recordingStore });
+        if (!timeline) {
+            return res.status(404).json({ error: 'No events received for this room' });
+        }
+        res.json(timeline);
+    });
+
+    // Admin routes require adminToken as a bearer token, and do not exist
+    // at all until one is configured
+    app.use('/admin', (req, res, next) => {
+        if (!adminToken) {
+            return res.status(404).json({ error: 'Admin API is disabled; set ADMIN_API_TOKEN to enable it' });
+        }
+        if (!isAdminAuthorization(req.headers.authorization, adminToken)) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        next();
+    });
+
+    // Inspect the job queue; ?status=dead lists the dead-letter jobs
+    app.get('/admin/jobs', (req, res) => {
+        res.json({
+            counts: queue.counts(),
+            data: queue.list({ status: req.query.status, type: req.query.type })
+        });
+    });
+
+    app.get('/admin/jobs/:id', (req, res) => {
+        const job = queue.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(job);
+    });
+
+    // Retry a failed job from scratch
+    app.post('/admin/jobs/:id/requeue', (req, res) => {
+        const job = queue.requeue(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(job);
+    });
+
+    // Handle Daily.co webhook verification and events at root path
+    app.all('/', (req, res) => {
+        // Handle GET requests (verification)
+        if (req.method === 'GET') {
+            logger.debug('Webhook verification request', { path: req.path });
+            return res.status(200).json({
+                message: 'Daily.co webhook endpoint verified',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Handle POST requests (actual webhook events)
+        if (req.method === 'POST') {
+            return handleWebhookDelivery(req, res);
+        }
+
         // Handle other methods
         res.status(405).json({ error: 'Method not allowed' });
-        
-    } catch (error) {
-        console.error('Webhook error:', error);
-        writeLog(`❌ WEBHOOK ERROR: ${error.message}`);
-        res.status(500).json({ error: 'Internal server error' });
+    });
+
+    // Also handle GET requests to /webhook for verification
+    app.get('/webhook', (req, res) => {
+        logger.debug('Webhook verification request', { path: req.path });
+        res.status(200).json({
+            message: 'Daily.co webhook endpoint verified',
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Run due jobs and follow secret rotations. start() calls this; an app
+    // mounted elsewhere without start() calls it once itself.
+    let backgroundStarted = false;
+    function startBackground() {
+        if (backgroundStarted) {
+            return;
+        }
+        backgroundStarted = true;
+
+        if (requireSignature && webhookSecrets.getActive().length === 0) {
+            logger.warn('WEBHOOK_REQUIRE_SIGNATURE is set but no webhook secret is configured; every delivery will be rejected');
+        }
+
+        queue.start(handlerContext);
+
+        webhookSecrets.watch(secrets => {
+            logger.info('Webhook secrets reloaded', { active: secrets.getActive().length });
+        });
     }
-});
 
-// Also handle GET requests to /webhook for verification
-app.get('/webhook', (req, res) => {
-    writeLog('🔍 VERIFICATION: Daily.co webhook GET verification request');
-    res.status(200).json({ 
-        message: 'Daily.co webhook endpoint verified',
-        timestamp: new Date().toISOString()
+    // Listen on port (0 picks a free one) and start the background work;
+    // resolves with the http.Server once it is accepting connections
+    function start(listenPort = port) {
+        return new Promise((resolve, reject) => {
+            server = app.listen(listenPort, () => {
+                const actualPort = server.address().port;
+                logger.info('Webhook server started', {
+                    port: actualPort,
+                    webhook_url: `http://localhost:${actualPort}/webhook`,
+                    health_url: `http://localhost:${actualPort}/health`,
+                    ready_url: `http://localhost:${actualPort}/health/ready`,
+                    recordings_url: `http://localhost:${actualPort}/recordings`,
+                    jobs_url: adminToken ? `http://localhost:${actualPort}/admin/jobs` : null,
+                    metrics_url: `http://localhost:${actualPort}/metrics`,
+                    log_file: logFile,
+                    notification_channels: Object.keys(notifications.channels)
+                });
+
+                startBackground();
+                resolve(server);
+            });
+            server.once('error', reject);
+        });
+    }
+
+    // Stop accepting connections, then wait up to timeoutMs for in-flight
+    // deliveries and due jobs to finish. Resolves with a summary once it has
+    // been written to the log; never exits the process.
+    function stop({ reason = 'stop', timeoutMs = shutdownTimeoutMs } = {}) {
+        if (!shutdown) {
+            shutdown = drainAndStop(reason, timeoutMs);
+        }
+        return shutdown;
+    }
+
+    async function drainAndStop(reason, timeoutMs) {
+        const startedAt = Date.now();
+        const deadline = startedAt + timeoutMs;
+        const remainingMs = () => deadline - Date.now();
+        const jobCountsBefore = queue.counts();
+        const deliveriesInFlight = inFlight.size;
+
+        logger.info('Shutdown started', { reason, deliveries_in_flight: deliveriesInFlight, timeout_ms: timeoutMs });
+        webhookSecrets.unwatch();
+
+        // New connections are refused from here on; keep-alive connections
+        // close as soon as they are idle
+        const listening = server;
+        server = null;
+        const closed = listening
+            ? new Promise(resolve => listening.close(resolve))
+            : Promise.resolve();
+        listening?.closeIdleConnections();
+
+        // Handlers first, since they enqueue the jobs drained next
+        await settlesWithin(Promise.allSettled([...inFlight]), remainingMs());
+        const deliveriesAbandoned = inFlight.size;
+
+        const jobs = await queue.drain(Math.max(0, remainingMs()));
+        // Jobs abandoned at the deadline may still be sending email; stop()
+        // resolves once they have finished, and only then are transports closed
+        queue.stop().then(() => notifications.close());
+        const jobCountsAfter = queue.counts();
+        const jobsFinished = (jobCountsAfter.completed + jobCountsAfter.dead)
+            - (jobCountsBefore.completed + jobCountsBefore.dead);
+
+        // Keep-alive connections that were busy when shutdown started are
+        // idle now; without this, close waits for the deadline and then
+        // drops them all
+        listening?.closeIdleConnections();
+        if (!await settlesWithin(closed, remainingMs())) {
+            listening.closeAllConnections();
+        }
+
+        const summary = {
+            reason,
+            duration_ms: Date.now() - startedAt,
+            timed_out: deliveriesAbandoned > 0 || jobs.abandoned > 0,
+            deliveries: {
+                drained: deliveriesInFlight - deliveriesAbandoned,
+                abandoned: deliveriesAbandoned,
+                rejected: rejectedDuringShutdown
+            },
+            jobs: {
+                finished: jobsFinished,
+                abandoned: jobs.abandoned,
+                pending: jobs.pending
+            }
+        };
+
+        logger.info('Shutdown summary', summary);
+        await logger.flush();
+
+        return summary;
+    }
+
+    // log is the name this used to be returned under
+    return { app, handlerContext, dispatcher, logger, log: logger, metrics, healthChecks: health, start, startBackground, stop };
+}
+
+// Start the server when run directly: npm start
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    // Load environment variables
+    dotenv.config();
+
+    const webhookServer = createWebhookServer();
+    webhookServer.start().catch(async error => {
+        // e.g. EADDRINUSE when another server already has the port
+        webhookServer.logger.error('Webhook server failed to start', { error });
+        await webhookServer.logger.flush();
+        process.exit(1);
     });
-});
 
-// Start the server
-app.listen(PORT, () => {
-    const message = `🚀 Daily.co Webhook Server started on port ${PORT}
-    Webhook URL: http://localhost:${PORT}/webhook
-    Health check: http://localhost:${PORT}/health
-    Test endpoint: http://localhost:${PORT}/test
-    Log file: ${LOG_FILE}`;
-    
-    writeLog(message);
-});
+    // Graceful shutdown: drain in-flight deliveries and jobs, then exit.
+    // A second signal skips the wait.
+    let stopping = false;
+    const shutDown = async signal => {
+        if (stopping) {
+            webhookServer.logger.warn('Signal received again, exiting without waiting', { signal });
+            process.exit(1);
+        }
+        stopping = true;
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    writeLog('🛑 Webhook server shutting down...');
-    process.exit(0);
-});
+        const summary = await webhookServer.stop({ reason: signal });
+        process.exit(summary.timed_out ? 1 : 0);
+    };
 
-process.on('SIGTERM', () => {
-    writeLog('🛑 Webhook server terminated');
-    process.exit(0);
+    process.on('SIGINT', shutDown);
+    process.on('SIGTERM', shutDown);
+}
+
+// `import app from './webhook-server.js'` still gets an Express app to mount
+// or listen on. It loads .env, builds its server and starts the job queue and
+// secret watcher on the first request, so importing this module stays free
+// of side effects.
+let defaultServer = null;
+const app = express();
+app.use((req, res, next) => {
+    if (!defaultServer) {
+        dotenv.config();
+        defaultServer = createWebhookServer();
+        defaultServer.startBackground();
+    }
+    defaultServer.app(req, res, next);
 });
 
+export { verifyWebhookSignature, checkWebhookTimestamp };
 export default app;
\ No newline at end of file